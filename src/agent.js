@@ -1,138 +1,494 @@
 /**
- * Agent loop: get snapshot → LLM with tool calling → execute tool → repeat until task_done or request_user_input.
+ * Agent loop: get snapshot → LLM with tool calling → execute the returned tool calls → repeat until task_done.
  * Uses sub-agent prompts, security layer for destructive actions, and error-adaptation.
  */
 
-import { formatSnapshotForPrompt } from './pageSnapshot.js';
-import { TOOL_DEFINITIONS, executeTool } from './tools.js';
-import { checkDestructiveAction } from './security.js';
+import { formatSnapshotForPrompt, rankElements, snapshotFingerprint } from './pageSnapshot.js';
+import { createToolRegistry, withOutputSchema } from './tools.js';
 import { classifyTask, SUB_AGENT_PROMPTS } from './subAgents.js';
+import { AgentHistory, estimateTextTokens } from './history.js';
+import { checkArguments } from './schema.js';
+import { getRoleSettings, modelParams } from './config.js';
+import { recordingClient } from './transcript.js';
+import { UsageTracker, trackingClient } from './usage.js';
+import { classifyApiError, retryingClient } from './retry.js';
+import { listUploadFiles } from './uploads.js';
+import { VISION_RULES, screenshotKey } from './vision.js';
+import { compareSnapshots, formatSnapshotDiff } from './snapshotDiff.js';
+import { LoopDetector } from './loopDetector.js';
+import { MAX_REPLANS, PLAN_RULES, PLAN_TOOL_DEFINITION, TaskPlan, createPlan } from './planner.js';
 
 function logToolCall(name, args) {
   const parts = Object.entries(args)
     .map(([k, v]) => {
-      const s = typeof v === 'string' && v.length > 60 ? v.slice(0, 60) + '...' : String(v);
+      const str = v !== null && typeof v === 'object' ? JSON.stringify(v) : String(v);
+      const s = str.length > 60 ? str.slice(0, 60) + '...' : str;
       return `${k}=${JSON.stringify(s)}`;
     })
     .join(', ');
   console.log('[Agent]', name, parts ? `(${parts})` : '');
 }
 
+/**
+ * Events emitted on deps.events and recorded to the transcript. Data: start { task, options },
+ * classification { taskType, model }, plan { steps, reason? }, step { step }, snapshot { step, snapshot },
+ * stuck { step, kind, message, recovery }, prompt { request }, model_response { model, response },
+ * tool_call { step, id, name, args }, security_prompt { step, description }, security { step, description, allowed },
+ * download { step, path, fileName, url, error? }, tool_result { step, id, name, result }, user_input { step, question, answer },
+ * finish { result }. step is 1-based, as in the run result.
+ */
+export const AGENT_EVENTS = [
+  'start',
+  'classification',
+  'plan',
+  'step',
+  'snapshot',
+  'stuck',
+  'prompt',
+  'model_response',
+  'tool_call',
+  'security_prompt',
+  'security',
+  'download',
+  'tool_result',
+  'user_input',
+  'finish',
+];
+
 const MAX_ITERATIONS = 80;
-const MODEL = 'gpt-4o-mini';
+const MAX_INVALID_RESULTS = 3;
+/** After this many steps with only changes listed, the full element list is sent again. */
+const MAX_PARTIAL_STEPS = 5;
+const DEFAULT_MAX_CONTEXT_TOKENS = 60000;
+
+function formatAction(name, args) {
+  const parts = Object.entries(args).map(([k, v]) => `${k}=${JSON.stringify(v)}`);
+  return `${name}(${parts.join(', ')})`;
+}
+
+/**
+ * Parse a tool call's JSON arguments, then coerce and validate them against the parameters schema the
+ * model was given for that tool.
+ * @param {string} name
+ * @param {string} rawArguments
+ * @param {Map<string, Record<string, unknown>>} schemas - parameters by tool name
+ * @returns {{ args: Record<string, unknown>; error?: string; invalidData?: boolean }} error: message for the model; the call is not executed.
+ *   invalidData: some of the errors are in the data argument (task_done with an output schema)
+ */
+function parseArguments(name, rawArguments, schemas) {
+  let parsed;
+  try {
+    parsed = JSON.parse(rawArguments || '{}');
+  } catch (err) {
+    return { args: {}, error: `Invalid arguments for ${name}: not valid JSON (${err.message}). Send a JSON object with the tool's parameters.` };
+  }
+  const asObject = parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  const schema = schemas.get(name);
+  if (!schema) return { args: asObject };
+  let checked;
+  try {
+    checked = checkArguments(schema, parsed);
+  } catch (err) {
+    // e.g. an invalid pattern in the schema itself
+    return { args: asObject, error: `Invalid arguments for ${name}: could not be validated (${err.message}).` };
+  }
+  const { value, errors } = checked;
+  if (errors.length) {
+    return {
+      args: asObject,
+      error: `Invalid arguments for ${name}:\n- ${errors.join('\n- ')}\nFix the arguments and call ${name} again.`,
+      invalidData: errors.some((e) => /^arguments\.data[.[:]/.test(e)),
+    };
+  }
+  return { args: value };
+}
+
+/**
+ * @param {Array<{ path: string; fileName: string; error?: string }>} downloads
+ * @returns {string} note appended to the tool result
+ */
+function describeDownloads(downloads) {
+  return downloads
+    .map((d) => (d.error ? `Download of ${d.fileName} failed: ${d.error}.` : `Downloaded file ${d.fileName}, saved as ${d.path}.`))
+    .join(' ');
+}
 
 /**
- * @param {{ openai: import('openai').OpenAI; browser: import('./browser.js').BrowserController; getUserConfirmation?: (description: string) => Promise<boolean> }} deps
+ * @param {{ openai: import('openai').OpenAI; browser: import('./browser.js').BrowserController; getUserConfirmation?: (description: string) => Promise<boolean>; getUserInput?: (question: string) => Promise<string>; transcript?: import('./transcript.js').TranscriptRecorder; events?: import('events').EventEmitter; tools?: import('./toolRegistry.js').ToolRegistry }} deps
+ *   getUserInput: when provided, request_user_input is answered in place and the loop continues; otherwise the run stops and returns userQuestion.
+ *   transcript: when provided, prompts, model responses, snapshots, tool calls and results are recorded to it.
+ *   events: receives the same events as the transcript (see AGENT_EVENTS), each with a data object.
+ *   tools: tool registry (built-in tools plus plugins); defaults to the built-in tools.
  * @param {string} userTask
- * @returns {Promise<{ done: boolean; result?: string; userQuestion?: string; error?: string }>}
+ * @param {{ maxContextTokens?: number; roles?: Record<string, import('./config.js').RoleSettings>; plan?: boolean; limits?: import('./usage.js').RunLimits; prices?: Record<string, { input: number; output: number }>; outputSchema?: Record<string, unknown>; signal?: AbortSignal; retry?: import('./retry.js').RetryOptions; uploadDir?: string; vision?: boolean }} [options]
+ *   maxContextTokens: prompt budget; older snapshots are summarized/dropped to stay under it.
+ *   roles: model/temperature per role (classifier, planner, browse, form, read, default); see loadConfig.
+ *   plan: planner/executor mode — build a step checklist first, track it and re-plan on repeated failures.
+ *   limits: stop the run when total tokens, estimated cost (USD) or wall-clock time exceed these.
+ *   prices: USD per 1M prompt/completion tokens by model, merged over DEFAULT_MODEL_PRICES.
+ *   outputSchema: JSON Schema of the result; task_done must then pass matching `data`, returned as result data.
+ *   signal: aborts the run between steps/tool calls and cancels a pending model request; the run returns { done: false, error }.
+ *   retry: retries/backoff/fallback model for API errors. A failure that cannot be retried ends the run with { done: false, error }.
+ *   uploadDir: directory upload_file may take files from; its file names are listed to the model.
+ *   vision: also send a viewport screenshot with element ids drawn on it, only when the page changed (needs a vision model).
+ * @returns {Promise<{ done: boolean; result?: string; data?: unknown; userQuestion?: string; error?: string; step: number; plan?: TaskPlan['steps']; downloads: string[]; usage: import('./usage.js').UsageSummary }>}
+ *   step: number of agent steps reached (1-based; 0 if the run stopped before the first step).
+ *   downloads: paths of the files downloaded during the run.
  */
-export async function runAgent(deps, userTask) {
-  const { openai, browser, getUserConfirmation } = deps;
+export async function runAgent(deps, userTask, options = {}) {
+  const { browser, getUserConfirmation, getUserInput, transcript, events } = deps;
+  const { signal } = options;
+  const emit = (type, data) => {
+    transcript?.record(type, data);
+    events?.emit(type, data);
+  };
+  const usage = new UsageTracker(options.limits, options.prices);
+  const openai = trackingClient(recordingClient(retryingClient(deps.openai, options.retry), emit), usage);
+  const abortError = () => 'Aborted' + (signal.reason !== undefined ? ': ' + String(signal.reason?.message ?? signal.reason) : '');
+  const maxContextTokens = options.maxContextTokens ?? DEFAULT_MAX_CONTEXT_TOKENS;
+  /** @type {TaskPlan | null} */
+  let plan = null;
+  let step = 0;
+  /** @type {string[]} */
+  const downloads = [];
+  const finish = (runResult) => {
+    runResult = { ...runResult, step, downloads, usage: usage.summary() };
+    if (plan) runResult.plan = plan.steps;
+    emit('finish', { result: runResult });
+    return runResult;
+  };
+  emit('start', { task: userTask, options: { ...options, signal: undefined } });
 
-  const taskType = await classifyTask(openai, userTask);
-  const systemPrompt = SUB_AGENT_PROMPTS[taskType] ?? SUB_AGENT_PROMPTS.default;
-  console.log('[Agent] Task type:', taskType);
+  let taskType = 'default';
+  try {
+    taskType = await classifyTask(openai, userTask, getRoleSettings(options.roles, 'classifier'), signal);
+  } catch (err) {
+    if (signal?.aborted) return finish({ done: false, error: abortError() });
+    console.log('[Agent] Classification failed, using the default prompt:', classifyApiError(err).reason);
+  }
+  let systemPrompt = SUB_AGENT_PROMPTS[taskType] ?? SUB_AGENT_PROMPTS.default;
+  const roleSettings = getRoleSettings(options.roles, taskType);
+  console.log('[Agent] Task type:', taskType, '| model:', roleSettings.model);
+  emit('classification', { taskType, model: roleSettings.model });
+
+  const plannerSettings = getRoleSettings(options.roles, 'planner');
+  if (options.plan) {
+    try {
+      plan = new TaskPlan(await createPlan(openai, userTask, plannerSettings, undefined, signal));
+      systemPrompt += '\n' + PLAN_RULES;
+      console.log('[Plan]\n' + plan.format());
+      emit('plan', { steps: plan.steps });
+    } catch (err) {
+      if (signal?.aborted) return finish({ done: false, error: abortError() });
+      console.log('[Plan] Planning failed, continuing without a plan:', classifyApiError(err).reason);
+    }
+  }
+  if (options.vision) systemPrompt += '\n' + VISION_RULES;
+  const { outputSchema } = options;
+  const registry = deps.tools ?? createToolRegistry();
+  const definitions = registry.definitions(taskType);
+  const baseTools = outputSchema ? withOutputSchema(definitions, outputSchema) : definitions;
+  const tools = plan ? [...baseTools, PLAN_TOOL_DEFINITION] : baseTools;
+  let invalidResults = 0;
+  const toolsTokens = estimateTextTokens(JSON.stringify(tools));
+  const toolSchemas = new Map(tools.map((t) => [t.function.name, t.function.parameters]));
+
+  /**
+   * Replace the failed part of the plan with a revised one (up to MAX_REPLANS times).
+   * @param {string} reason
+   * @param {string} url
+   */
+  async function replan(reason, url) {
+    if (plan.replans >= MAX_REPLANS) {
+      console.log('[Plan] Not re-planning (limit of %d reached): %s', MAX_REPLANS, reason);
+      return;
+    }
+    let titles;
+    try {
+      titles = await createPlan(openai, userTask, plannerSettings, { previousPlan: plan.format(), reason, url }, signal);
+    } catch (err) {
+      console.log('[Plan] Re-planning failed, keeping the current plan:', classifyApiError(err).reason);
+      return;
+    }
+    plan.revise(titles);
+    console.log('[Plan] Re-planned (%s):\n%s', reason, plan.format());
+    emit('plan', { reason, steps: plan.steps });
+  }
 
-  const messages = [
-    { role: 'system', content: systemPrompt },
-    { role: 'user', content: 'Current task from user: ' + userTask + '\n\nWhat is the current state of the page? Decide the next action. If you see a blank page or no relevant content, navigate first. Otherwise use the element ids from the snapshot below.' },
-  ];
+  const uploadFiles = listUploadFiles(options.uploadDir);
+  const history = new AgentHistory(
+    systemPrompt,
+    'Current task from user: ' + userTask + '\n\nWhat is the current state of the page? Decide the next action. If you see a blank page or no relevant content, navigate first. Otherwise use the element ids from the snapshot below.' +
+      (uploadFiles.length ? '\n\nFiles available for upload_file: ' + uploadFiles.join(', ') : '')
+  );
+  const toolContext = { browser, outputSchema, signal, uploadDir: options.uploadDir, taskType };
+  const messages = history.messages;
+
+  const loops = new LoopDetector();
+  let lastScreenshotKey = '';
+  let lastScreenshotStep = 0;
+  /** Snapshot the model saw last (element ids carry over from it). */
+  let shownSnapshot = null;
+  let partialSteps = 0;
+
+  /**
+   * Apply a stuck-loop recovery step.
+   * @param {string} recovery - from RECOVERY_STEPS
+   * @param {{ kind: string; message: string }} stuck
+   * @param {{ url: string }} snapshot
+   * @returns {Promise<{ notice?: string; refresh?: boolean; error?: string }>} error: abort the run
+   */
+  async function recover(recovery, stuck, snapshot) {
+    const warning = 'Warning: you seem to be stuck. ' + stuck.message;
+    const advice = ' Do not repeat the same action: try a different element, scroll to another area, navigate elsewhere, or ask the user.';
+    try {
+      if (recovery === 'warn') {
+        return { notice: warning + advice };
+      }
+      if (recovery === 'reload') {
+        await browser.reload();
+        return { notice: warning + ' The page was reloaded automatically.' + advice, refresh: true };
+      }
+      if (recovery === 'go_back') {
+        const wentBack = await browser.goBack();
+        return {
+          notice: warning + (wentBack ? ' The browser went back to the previous page automatically.' : ' Going back was not possible (no history).') + advice,
+          refresh: true,
+        };
+      }
+    } catch (err) {
+      return { notice: warning + ` Automatic ${recovery} failed: ${String(err?.message || err)}.` + advice, refresh: true };
+    }
+    if (recovery === 'ask_user' && getUserInput) {
+      const question = `The agent seems stuck on ${snapshot.url}. ${stuck.message} How should it proceed?`;
+      console.log('[Agent] Asking user:', question);
+      const answer = ((await getUserInput(question)) || '').trim();
+      emit('user_input', { step, question, answer });
+      if (answer) return { notice: warning + ' The user was asked how to proceed and answered: ' + answer };
+    }
+    return { error: 'Stuck: ' + loops.diagnose(stuck, snapshot) };
+  }
 
   for (let i = 0; i < MAX_ITERATIONS; i++) {
-    const snapshot = await browser.getSnapshot();
-    const snapshotText = formatSnapshotForPrompt(snapshot);
-    const stateMessage = {
-      role: 'user',
-      content: 'Current page state:\n\n' + snapshotText,
-    };
-    if (i === 0) {
-      messages[1].content += '\n\n' + stateMessage.content;
-    } else {
-      messages.push(stateMessage);
+    if (signal?.aborted) return finish({ done: false, error: abortError() });
+    step = i + 1;
+    emit('step', { step });
+    const limitError = usage.checkLimits();
+    if (limitError) {
+      console.log('[Agent] Stopping:', limitError);
+      return finish({ done: false, error: limitError });
     }
 
-    const response = await openai.chat.completions.create({
-      model: MODEL,
-      messages,
-      tools: TOOL_DEFINITIONS.length ? TOOL_DEFINITIONS : undefined,
-      tool_choice: 'auto',
-    });
+    let { snapshot, diff } = compareSnapshots(shownSnapshot, rankElements(await browser.getSnapshot(), userTask));
+    emit('snapshot', { step, snapshot });
+    loops.recordState(snapshot);
+
+    let notice = '';
+    const stuck = loops.detect();
+    if (stuck) {
+      const recovery = loops.escalate();
+      console.log('[Agent] Stuck (%s): %s → %s', stuck.kind, stuck.message, recovery);
+      emit('stuck', { step, ...stuck, recovery });
+      const outcome = await recover(recovery, stuck, snapshot);
+      if (outcome.error) {
+        console.log('[Agent] Stopping:', outcome.error);
+        return finish({ done: false, error: outcome.error });
+      }
+      notice = outcome.notice + '\n\n';
+      if (outcome.refresh) {
+        ({ snapshot, diff } = compareSnapshots(shownSnapshot, rankElements(await browser.getSnapshot(), userTask)));
+        emit('snapshot', { step, snapshot });
+        loops.recordState(snapshot);
+      }
+    }
+    const partial = !!diff && !diff.substantial && partialSteps < MAX_PARTIAL_STEPS;
+    partialSteps = partial ? partialSteps + 1 : 0;
+    shownSnapshot = snapshot;
+    const snapshotText = formatSnapshotForPrompt(snapshot, { changes: diff ? formatSnapshotDiff(diff) : undefined, elements: !partial });
+    let image;
+    if (options.vision) {
+      const key = screenshotKey(snapshot);
+      if (key !== lastScreenshotKey || !history.hasScreenshot()) {
+        try {
+          image = await browser.getScreenshot(snapshot);
+          lastScreenshotKey = key;
+          lastScreenshotStep = step;
+        } catch (err) {
+          console.log('[Agent] Screenshot failed, sending text only:', String(err?.message || err));
+        }
+      } else {
+        notice += `(Page looks as in the screenshot from step ${lastScreenshotStep}; no new screenshot attached.)\n\n`;
+      }
+    }
+    history.addStep(i, snapshot, notice + (plan ? plan.format() + '\n\n' : '') + 'Current page state:\n\n' + snapshotText, image, { partial });
+    // Changes-only steps refer to the full list, which is now cut short; send it again next step.
+    if (history.fitToBudget(maxContextTokens - toolsTokens).truncated) partialSteps = MAX_PARTIAL_STEPS;
+
+    let response;
+    try {
+      response = await openai.chat.completions.create(
+        {
+          ...modelParams(roleSettings),
+          messages,
+          tools: tools.length ? tools : undefined,
+          tool_choice: 'auto',
+        },
+        { signal }
+      );
+    } catch (err) {
+      if (signal?.aborted) return finish({ done: false, error: abortError() });
+      const { reason } = classifyApiError(err);
+      console.log('[Agent] Model request failed at step %d: %s', step, reason);
+      return finish({ done: false, error: `Model request failed at step ${step}: ${reason}` });
+    }
 
     const choice = response.choices?.[0];
     if (!choice) {
-      return { done: false, error: 'No response from model' };
+      return finish({ done: false, error: 'No response from model' });
     }
 
     const finishReason = choice.finish_reason;
     const toolCalls = choice.message?.tool_calls;
 
     if (finishReason === 'stop' && !toolCalls?.length) {
-      messages.push({ role: 'assistant', content: choice.message?.content || '(no content)' });
+      history.push({ role: 'assistant', content: choice.message?.content || '(no content)' });
+      history.recordAction('(reply without tool call)', (choice.message?.content || '').slice(0, 80));
       continue;
     }
 
     if (toolCalls?.length) {
-      const toolCall = toolCalls[0];
-      const name = toolCall.function?.name;
-      let args = {};
-      try {
-        args = JSON.parse(toolCall.function?.arguments || '{}');
-      } catch (_) {
-        args = {};
-      }
-      logToolCall(name, args);
-      messages.push({
+      const calls = toolCalls.map((toolCall) => {
+        const name = toolCall.function?.name;
+        const rawArguments = toolCall.function?.arguments || '{}';
+        const { args, error, invalidData } = parseArguments(name, rawArguments, toolSchemas);
+        return { id: toolCall.id, name, args, argsError: error, invalidData, rawArguments };
+      });
+      history.push({
         role: 'assistant',
         content: null,
-        tool_calls: [
-          {
-            id: toolCall.id,
-            type: 'function',
-            function: { name, arguments: toolCall.function?.arguments || '{}' },
-          },
-        ],
+        tool_calls: calls.map((c) => ({
+          id: c.id,
+          type: 'function',
+          function: { name: c.name, arguments: c.rawArguments },
+        })),
       });
+      if (calls.length > 1) console.log('[Agent] %d tool calls in one turn', calls.length);
 
-      const security = checkDestructiveAction(name, args, snapshot);
-      let result;
-      if (security.destructive && getUserConfirmation) {
-        const allowed = await getUserConfirmation(security.description ?? 'Sensitive action');
-        if (!allowed) {
-          result = { success: false, message: 'User denied the action.' };
+      // Every call gets a tool message; once the batch stops, the rest are answered as skipped.
+      let skipReason = null;
+      for (let k = 0; k < calls.length; k++) {
+        const { id, name, args, argsError, invalidData } = calls[k];
+        if (!skipReason && signal?.aborted) skipReason = 'the run was aborted.';
+        if (skipReason) {
+          history.recordAction(formatAction(name, args), 'skipped');
+          history.push({ role: 'tool', tool_call_id: id, content: 'Not executed: ' + skipReason });
+          continue;
+        }
+
+        logToolCall(name, args);
+        emit('tool_call', { step, id, name, args });
+
+        let result;
+        let denied = false;
+        let replanReason;
+        if (argsError) {
+          console.log('[Agent] %s', argsError.replace(/\n/g, ' '));
+          result = { success: false, message: argsError, invalidData };
+        } else if (name === 'update_plan' && plan) {
+          result = plan.update(args);
+          replanReason = result.replan;
         } else {
-          result = await executeTool(name, args, { snapshot, browser });
+          const security = registry.checkSecurity(name, args, snapshot);
+          if (security.destructive && getUserConfirmation) {
+            emit('security_prompt', { step, description: security.description });
+            const allowed = await getUserConfirmation(security.description ?? 'Sensitive action');
+            emit('security', { step, description: security.description, allowed });
+            if (!allowed) {
+              denied = true;
+              result = { success: false, message: 'User denied the action.' };
+            } else {
+              result = await registry.execute(name, args, { ...toolContext, snapshot });
+            }
+          } else {
+            result = await registry.execute(name, args, { ...toolContext, snapshot });
+          }
+        }
+        if (!argsError && !denied && name !== 'update_plan') {
+          const started = await browser.takeDownloads();
+          for (const d of started) {
+            console.log('[Agent] %s', d.error ? `Download of ${d.fileName} failed: ${d.error}` : `Downloaded ${d.path}`);
+            emit('download', { step, ...d });
+            if (!d.error) downloads.push(d.path);
+          }
+          if (started.length) result = { ...result, message: result.message + '\n' + describeDownloads(started) };
         }
-      } else {
-        result = await executeTool(name, args, { snapshot, browser });
-      }
 
-      const toolContent = result.success ? result.message : 'Error: ' + result.message;
-      messages.push({
-        role: 'tool',
-        tool_call_id: toolCall.id,
-        content: toolContent,
-      });
+        emit('tool_result', { step, id, name, result });
+        loops.recordAction(name, args);
+        if (plan && name !== 'update_plan' && !result.stop) replanReason = plan.recordToolResult(result.success);
+        if (replanReason) await replan(replanReason, snapshot.url);
 
-      if (result.stop) {
-        if (name === 'task_done') {
-          console.log('[Agent] Finished. Result:', result.message);
-        } else if (name === 'request_user_input') {
-          console.log('[Agent] Asking user:', result.userQuestion || result.message);
+        if (result.stop && name === 'request_user_input' && getUserInput) {
+          const question = result.userQuestion || result.message;
+          console.log('[Agent] Asking user:', question);
+          const answer = ((await getUserInput(question)) || '').trim();
+          emit('user_input', { step, question, answer });
+          history.recordAction(formatAction(name, args), 'user answered: ' + (answer || '(nothing)'));
+          history.push({
+            role: 'tool',
+            tool_call_id: id,
+            content: answer ? 'User answered: ' + answer : 'User gave no answer.',
+          });
+          skipReason = 'the user answered a question in this turn; decide the next action using the answer.';
+          continue;
         }
-        return {
-          done: true,
-          result: result.message,
-          userQuestion: result.userQuestion,
-        };
+
+        const toolContent = result.success ? result.message : 'Error: ' + result.message;
+        history.recordAction(formatAction(name, args), (result.success ? 'ok: ' : 'error: ') + result.message);
+        history.push({
+          role: 'tool',
+          tool_call_id: id,
+          content: toolContent,
+        });
+
+        if (result.stop) {
+          if (name === 'task_done') {
+            console.log('[Agent] Finished. Result:', result.message);
+          } else if (name === 'request_user_input') {
+            console.log('[Agent] Asking user:', result.userQuestion || result.message);
+          }
+          return finish({
+            done: true,
+            result: result.message,
+            data: result.data,
+            userQuestion: result.userQuestion,
+          });
+        }
+
+        // Only data that keeps failing the output schema ends the run; other argument mistakes are retried freely.
+        if (outputSchema && name === 'task_done' && result.invalidData && ++invalidResults >= MAX_INVALID_RESULTS) {
+          console.log('[Agent] Stopping: result data still does not match the schema');
+          return finish({ done: false, error: `Result does not match the output schema after ${invalidResults} attempts: ${result.message}` });
+        }
+
+        if (k === calls.length - 1) break;
+        if (denied) {
+          skipReason = 'the user denied a previous action in this turn.';
+        } else if (!result.success) {
+          skipReason = 'a previous action in this turn failed.';
+        } else if (snapshotFingerprint(rankElements(await browser.getSnapshot(), userTask)) !== snapshotFingerprint(snapshot)) {
+          skipReason = 'the page changed after a previous action in this turn; element ids may be stale. Re-check the new snapshot.';
+        }
+        if (skipReason) console.log('[Agent] Stopping batch:', skipReason);
       }
       continue;
     }
 
-    messages.push({
+    history.push({
       role: 'assistant',
       content: choice.message?.content || '',
     });
   }
 
-  return { done: false, error: 'Max iterations reached' };
+  return finish({ done: false, error: 'Max iterations reached' });
 }
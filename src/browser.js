@@ -1,18 +1,28 @@
 /**
  * Playwright browser wrapper: persistent context (visible), navigate, click by id, type, scroll.
+ * Downloads from any tab are saved to the downloads directory. Elements inside iframes are resolved in
+ * their frame.
  */
 
 import { chromium } from 'playwright';
-import { getPageSnapshot } from './pageSnapshot.js';
+import { uniqueDownloadPath } from './downloads.js';
+import { clearTextFocus, findSnapshotElement, findTextInPage, getPageSnapshot } from './pageSnapshot.js';
 import { getScreenSize } from './screenSize.js';
+import { takeMarkedScreenshot } from './vision.js';
 
 const USER_DATA_DIR = './browser-data';
 const ACTION_DELAY_MS = 500;
 const CLICK_AFTER_DELAY_MS = 1200;
+const DEFAULT_DOWNLOAD_DIR = './downloads';
+const DOWNLOAD_WAIT_MS = 15000;
+const WAIT_POLL_MS = 250;
+/** network_idle: no request in flight for this long. */
+const NETWORK_QUIET_MS = 500;
 
 /**
- * Resolve Playwright locator from snapshot element selector descriptor.
- * @param {import('playwright').Page} page
+ * Resolve Playwright locator from snapshot element selector descriptor. CSS descriptors (selector, nth)
+ * also match inside open shadow roots; nth indexes are counted in Playwright's order.
+ * @param {import('playwright').Page | import('playwright').Frame} page - page, or the element's frame
  * @param {{ type: string; value?: string; selector?: string; index?: number }} selectorDesc
  */
 function locatorFromSelector(page, selectorDesc) {
@@ -29,23 +39,34 @@ function locatorFromSelector(page, selectorDesc) {
 }
 
 /**
- * Find element in page by selector descriptor; optional fallback by visible text.
- * @param {import('playwright').Page} page
+ * Find element in page by selector descriptor; optional fallback by visible text. Then dispatch
+ * pointer events from JS (click by default; dblclick, contextmenu or hover for the other pointer tools).
+ * @param {import('playwright').Page | import('playwright').Frame} page - page, or the element's frame
  * @param {{ type: string; value?: string; selector?: string; index?: number }} selectorDesc
  * @param {string} [expectedText] - if selector fails, find clickable whose text contains this (first 40 chars)
+ * @param {'click' | 'dblclick' | 'contextmenu' | 'hover'} [kind]
  */
-async function clickViaEvaluate(page, selectorDesc, expectedText) {
+async function clickViaEvaluate(page, selectorDesc, expectedText, kind = 'click') {
   await page.evaluate(
-    ({ desc, textHint }) => {
+    ({ desc, textHint, kind }) => {
+      // like Playwright's CSS engine: the document first, then open shadow roots
+      function deepQueryAll(root, css) {
+        let result = [...root.querySelectorAll(css)];
+        for (const host of root.querySelectorAll('*')) {
+          if (host.shadowRoot) result = result.concat(deepQueryAll(host.shadowRoot, css));
+        }
+        return result;
+      }
+
       function findBySelector() {
         let el = null;
         if (desc.type === 'xpath' && desc.value) {
           el = document.evaluate(desc.value, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
         } else if (desc.type === 'nth' && desc.selector != null && desc.index != null) {
-          const list = document.querySelectorAll(desc.selector);
+          const list = deepQueryAll(document, desc.selector);
           el = list[desc.index] || null;
         } else if (desc.type === 'selector' && desc.value) {
-          el = document.querySelector(desc.value);
+          el = deepQueryAll(document, desc.value)[0] || null;
         }
         return el;
       }
@@ -80,7 +101,7 @@ async function clickViaEvaluate(page, selectorDesc, expectedText) {
       if (!el || typeof el.click !== 'function') throw new Error('Element not found or not clickable');
 
       const tag = el.tagName.toUpperCase();
-      if (tag !== 'A' && tag !== 'BUTTON' && tag !== 'INPUT') {
+      if (kind === 'click' && tag !== 'A' && tag !== 'BUTTON' && tag !== 'INPUT') {
         const innerLink = el.querySelector('a[href]');
         if (innerLink) el = innerLink;
         else {
@@ -97,6 +118,28 @@ async function clickViaEvaluate(page, selectorDesc, expectedText) {
       const y = rect.top + rect.height / 2;
       const coord = { bubbles: true, cancelable: true, view: window, clientX: x, clientY: y, detail: 1 };
 
+      if (kind === 'hover') {
+        el.dispatchEvent(new PointerEvent('pointerover', { ...coord, pointerId: 1, pointerType: 'mouse' }));
+        el.dispatchEvent(new PointerEvent('pointerenter', { ...coord, bubbles: false, pointerId: 1, pointerType: 'mouse' }));
+        el.dispatchEvent(new MouseEvent('mouseover', coord));
+        el.dispatchEvent(new MouseEvent('mouseenter', { ...coord, bubbles: false }));
+        el.dispatchEvent(new MouseEvent('mousemove', coord));
+        return;
+      }
+      if (kind === 'contextmenu') {
+        const right = { ...coord, button: 2, buttons: 2 };
+        el.dispatchEvent(new MouseEvent('mousedown', right));
+        el.dispatchEvent(new MouseEvent('mouseup', right));
+        el.dispatchEvent(new MouseEvent('contextmenu', right));
+        return;
+      }
+      if (kind === 'dblclick') {
+        el.dispatchEvent(new MouseEvent('click', coord));
+        el.dispatchEvent(new MouseEvent('click', { ...coord, detail: 2 }));
+        el.dispatchEvent(new MouseEvent('dblclick', { ...coord, detail: 2 }));
+        return;
+      }
+
       el.dispatchEvent(new PointerEvent('pointerdown', { ...coord, pointerId: 1, pointerType: 'mouse' }));
       el.dispatchEvent(new PointerEvent('pointerup', { ...coord, pointerId: 1, pointerType: 'mouse' }));
       el.dispatchEvent(new MouseEvent('mousedown', coord));
@@ -104,25 +147,170 @@ async function clickViaEvaluate(page, selectorDesc, expectedText) {
       el.dispatchEvent(new MouseEvent('click', coord));
       el.click();
     },
-    { desc: selectorDesc, textHint: expectedText ? String(expectedText).slice(0, 40) : '' }
+    { desc: selectorDesc, textHint: expectedText ? String(expectedText).slice(0, 40) : '', kind }
+  );
+}
+
+/**
+ * HTML5 drag-and-drop from JS (dragstart → dragenter/dragover → drop → dragend) for lists that ignore
+ * synthetic mouse movement.
+ * @param {import('playwright').Page | import('playwright').Frame} page - page, or the frame of both elements
+ * @param {{ type: string; value?: string; selector?: string; index?: number }} sourceDesc
+ * @param {{ type: string; value?: string; selector?: string; index?: number }} targetDesc
+ */
+async function dragViaEvaluate(page, sourceDesc, targetDesc) {
+  await page.evaluate(
+    ({ sourceDesc, targetDesc }) => {
+      // like Playwright's CSS engine: the document first, then open shadow roots
+      function deepQueryAll(root, css) {
+        let result = [...root.querySelectorAll(css)];
+        for (const host of root.querySelectorAll('*')) {
+          if (host.shadowRoot) result = result.concat(deepQueryAll(host.shadowRoot, css));
+        }
+        return result;
+      }
+
+      function find(desc) {
+        if (desc.type === 'xpath' && desc.value) {
+          return document.evaluate(desc.value, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+        }
+        if (desc.type === 'nth' && desc.selector != null && desc.index != null) return deepQueryAll(document, desc.selector)[desc.index] || null;
+        if (desc.type === 'selector' && desc.value) return deepQueryAll(document, desc.value)[0] || null;
+        return null;
+      }
+      const source = find(sourceDesc);
+      const target = find(targetDesc);
+      if (!source || !target) throw new Error('Drag source or target not found');
+      const rect = target.getBoundingClientRect();
+      const at = { bubbles: true, cancelable: true, clientX: rect.left + rect.width / 2, clientY: rect.top + rect.height / 2 };
+      const dataTransfer = new DataTransfer();
+      source.dispatchEvent(new DragEvent('dragstart', { ...at, dataTransfer }));
+      target.dispatchEvent(new DragEvent('dragenter', { ...at, dataTransfer }));
+      target.dispatchEvent(new DragEvent('dragover', { ...at, dataTransfer }));
+      target.dispatchEvent(new DragEvent('drop', { ...at, dataTransfer }));
+      source.dispatchEvent(new DragEvent('dragend', { ...at, dataTransfer }));
+    },
+    { sourceDesc, targetDesc }
   );
 }
 
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'ControlOrMeta'];
+
+/** Named keys Playwright's keyboard accepts (besides single characters and modifiers). */
+const NAMED_KEYS = [
+  'Enter', 'Tab', 'Escape', 'Backspace', 'Delete', 'Insert', 'Space',
+  'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown',
+  'F1', 'F2', 'F3', 'F4', 'F5', 'F6', 'F7', 'F8', 'F9', 'F10', 'F11', 'F12',
+  'CapsLock', 'NumLock', 'ScrollLock', 'ContextMenu', 'PrintScreen', 'Pause',
+  'Backquote', 'Minus', 'Equal', 'Backslash', 'BracketLeft', 'BracketRight', 'Semicolon', 'Quote', 'Comma', 'Period', 'Slash',
+  ...'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('').map((c) => 'Key' + c),
+  ...'0123456789'.split('').map((d) => 'Digit' + d),
+  ...'0123456789'.split('').map((d) => 'Numpad' + d),
+  'NumpadAdd', 'NumpadSubtract', 'NumpadMultiply', 'NumpadDivide', 'NumpadDecimal', 'NumpadEnter',
+];
+
+const KEY_ALIASES = {
+  ctrl: 'Control', control: 'Control', cmd: 'Meta', command: 'Meta', win: 'Meta', meta: 'Meta', option: 'Alt', alt: 'Alt', shift: 'Shift',
+  controlormeta: 'ControlOrMeta', esc: 'Escape', return: 'Enter', del: 'Delete', ins: 'Insert', up: 'ArrowUp', down: 'ArrowDown',
+  left: 'ArrowLeft', right: 'ArrowRight', pgup: 'PageUp', pgdn: 'PageDown', pagedown: 'PageDown', pageup: 'PageUp', spacebar: 'Space',
+};
+
 /**
- * @param {{ url: string; title: string; elements: Array<{ id: number; selector: unknown }> }} snapshot
- * @param {number} id
+ * Validate a key or combination ("Enter", "ctrl+a", "Shift+Tab") and normalize it to Playwright names.
+ * @param {string} combo
+ * @returns {string} e.g. "Control+a"
+ */
+export function normalizeKeyCombo(combo) {
+  const parts = String(combo).trim().split(/\s*\+\s*(?=.)/);
+  const names = parts.map((part, i) => {
+    const isLast = i === parts.length - 1;
+    if (isLast && part.length === 1) return part;
+    const lower = part.toLowerCase();
+    const name = KEY_ALIASES[lower] ?? [...MODIFIER_KEYS, ...NAMED_KEYS].find((k) => k.toLowerCase() === lower);
+    if (!name && !isLast && part.length === 1) {
+      throw new Error(`"${part}" is not a modifier; only Shift, Control, Alt, Meta can be combined with another key (e.g. Control+A)`);
+    }
+    if (!name) {
+      throw new Error(`Unknown key "${part}". Use a single character or a key name such as Enter, Escape, Tab, ArrowDown, PageDown, F5, optionally with Control/Shift/Alt/Meta (e.g. Control+A)`);
+    }
+    if (!isLast && !MODIFIER_KEYS.includes(name)) {
+      throw new Error(`"${part}" is not a modifier; only Shift, Control, Alt, Meta can be combined with another key (e.g. Control+A)`);
+    }
+    return name;
+  });
+  if (!parts[0]) throw new Error('key must not be empty');
+  return names.join('+');
+}
+
+/**
+ * @param {{ url: string; title: string; elements: Array<{ id: number; selector: unknown }>; moreElements?: Array<{ id: number; selector: unknown }> }} snapshot
+ * @param {number} id - listed or from list_more_elements
  */
 function findElementInSnapshot(snapshot, id) {
-  const el = snapshot.elements.find((e) => e.id === id);
+  const el = findSnapshotElement(snapshot, id);
   if (!el) throw new Error('Element id not found in snapshot: ' + id);
   return el;
 }
 
+/**
+ * Frame the snapshot element lives in: the main frame, or the iframe reached through el.frame.path
+ * (index among the iframe/frame elements of each parent document, as collected by getPageSnapshot).
+ * When frames were inserted or removed since, so that the path leads to a frame with another name or
+ * URL, the frame is looked up by name and URL instead.
+ * @param {import('playwright').Page} page
+ * @param {{ id: number; frame?: { path: number[]; label: string; name?: string; url?: string } }} el
+ * @returns {Promise<import('playwright').Frame>}
+ */
+async function frameOfElement(page, el) {
+  const target = el.frame;
+  let frame = page.mainFrame();
+  if (!target) return frame;
+  const isTarget = (f) => (target.name === undefined || f.name() === target.name) && (target.url === undefined || f.url() === target.url);
+  for (const index of target.path) {
+    const handles = await frame.$$('iframe, frame');
+    const child = await handles[index]?.contentFrame();
+    await Promise.all(handles.map((h) => h.dispose().catch(() => {})));
+    if (!child) {
+      frame = null;
+      break;
+    }
+    frame = child;
+  }
+  if (frame && isTarget(frame)) return frame;
+  const candidates = page.frames().filter((f) => f !== page.mainFrame() && isTarget(f));
+  if (candidates.length === 1) return candidates[0];
+  throw new Error(`Frame "${target.label}" of element ${el.id} is gone or changed; check the new page state`);
+}
+
+/**
+ * URL test for wait_for: "/regex/flags" is a regular expression, anything else a substring.
+ * @param {string} pattern
+ * @returns {(url: string) => boolean}
+ */
+function urlMatcher(pattern) {
+  const m = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (!m) return (url) => url.includes(pattern);
+  let re;
+  try {
+    re = new RegExp(m[1], m[2]);
+  } catch (err) {
+    throw new Error('Invalid URL regex ' + pattern + ': ' + err.message);
+  }
+  return (url) => re.test(url);
+}
+
 export class BrowserController {
   /** @type {import('playwright').BrowserContext | null} */
   #context = null;
   /** @type {import('playwright').Page | null} */
   #page = null;
+  #downloadDir = DEFAULT_DOWNLOAD_DIR;
+  /** @type {Set<string>} paths handed out to downloads, so concurrent ones don't collide */
+  #reservedPaths = new Set();
+  /** @type {Array<{ done: Promise<void>; record?: { path: string; fileName: string; url: string; error?: string } }>} not yet reported by takeDownloads */
+  #downloads = [];
+  /** @type {WeakMap<import('playwright').Page, { inFlight: Set<import('playwright').Request>; lastActivity: number }>} */
+  #network = new WeakMap();
 
   /**
    * Attach dialog handler so alert/confirm/prompt don't block execution (accepted by default).
@@ -132,12 +320,61 @@ export class BrowserController {
     page.on('dialog', (dialog) => dialog.accept());
   }
 
+  /**
+   * Save every download started from the page into the downloads directory.
+   * @param {import('playwright').Page} page
+   */
+  #attachDownloadHandler(page) {
+    page.on('download', (download) => {
+      const fileName = download.suggestedFilename();
+      const entry = {};
+      let path;
+      try {
+        path = uniqueDownloadPath(this.#downloadDir, fileName, this.#reservedPaths);
+      } catch (err) {
+        entry.record = { path: '', fileName, url: download.url(), error: String(err?.message || err) };
+        entry.done = download.cancel().catch(() => {});
+        this.#downloads.push(entry);
+        return;
+      }
+      entry.done = download.saveAs(path).then(
+        () => {
+          entry.record = { path, fileName, url: download.url() };
+        },
+        (err) => {
+          entry.record = { path, fileName, url: download.url(), error: String(err?.message || err) };
+        }
+      );
+      this.#downloads.push(entry);
+    });
+  }
+
+  /**
+   * Track the page's in-flight requests for the network_idle wait (event streams never finish and are ignored).
+   * @param {import('playwright').Page} page
+   */
+  #attachNetworkTracker(page) {
+    const state = { inFlight: new Set(), lastActivity: Date.now() };
+    this.#network.set(page, state);
+    page.on('request', (request) => {
+      if (request.resourceType() === 'eventsource' || request.resourceType() === 'websocket') return;
+      state.inFlight.add(request);
+      state.lastActivity = Date.now();
+    });
+    const settle = (request) => {
+      if (state.inFlight.delete(request)) state.lastActivity = Date.now();
+    };
+    page.on('requestfinished', settle);
+    page.on('requestfailed', settle);
+  }
+
   /**
    * Launch persistent context (visible browser). Reuse existing page or create new.
-   * @param {{ halfScreen?: boolean; side?: 'left' | 'right' }} [options] - halfScreen: place window on half of screen; side: which half (default 'right')
+   * @param {{ halfScreen?: boolean; side?: 'left' | 'right'; downloadDir?: string }} [options] - halfScreen: place window on half of screen; side: which half (default 'right'); downloadDir: where downloads are saved (default './downloads')
    */
   async launch(options = {}) {
-    const { halfScreen = false, side = 'right' } = options;
+    const { halfScreen = false, side = 'right', downloadDir = DEFAULT_DOWNLOAD_DIR } = options;
+    this.#downloadDir = downloadDir;
     let viewport = { width: 1280, height: 800 };
     const args = ['--no-sandbox'];
 
@@ -154,10 +391,19 @@ export class BrowserController {
       headless: false,
       viewport,
       args,
+      acceptDownloads: true,
     });
     const context = this.#context;
-    for (const p of context.pages()) this.#attachDialogHandler(p);
-    context.on('page', (p) => this.#attachDialogHandler(p));
+    for (const p of context.pages()) {
+      this.#attachDialogHandler(p);
+      this.#attachDownloadHandler(p);
+      this.#attachNetworkTracker(p);
+    }
+    context.on('page', (p) => {
+      this.#attachDialogHandler(p);
+      this.#attachDownloadHandler(p);
+      this.#attachNetworkTracker(p);
+    });
     const pages = context.pages();
     if (pages.length > 0) {
       this.#page = pages[0];
@@ -172,6 +418,12 @@ export class BrowserController {
    */
   getPage() {
     if (!this.#page) throw new Error('Browser not launched');
+    if (this.#page.isClosed()) {
+      // The site closed the active tab (window.close()); continue in the last remaining one.
+      const pages = this.getPages();
+      if (!pages.length) throw new Error('All tabs are closed');
+      this.#page = pages[pages.length - 1];
+    }
     return this.#page;
   }
 
@@ -213,6 +465,30 @@ export class BrowserController {
     await this.#delay();
   }
 
+  /**
+   * Close a tab by index. When it is the active tab, the tab before it (or the new first tab) becomes active.
+   * The last remaining tab cannot be closed.
+   * @param {number} tabIndex
+   * @returns {Promise<number>} index of the active tab afterwards
+   */
+  async closeTab(tabIndex) {
+    const pages = this.getPages();
+    if (tabIndex < 0 || tabIndex >= pages.length) {
+      throw new Error('Invalid tab index: ' + tabIndex + ' (tabs: 0–' + (pages.length - 1) + ')');
+    }
+    if (pages.length === 1) throw new Error('Cannot close the only open tab; use navigate to open another page');
+    const target = pages[tabIndex];
+    const wasActive = target === this.getPage();
+    await target.close();
+    const remaining = this.getPages();
+    if (wasActive) {
+      this.#page = remaining[Math.max(0, tabIndex - 1)];
+      await this.#page.bringToFront();
+    }
+    await this.#delay();
+    return remaining.indexOf(this.getPage());
+  }
+
   /**
    * Get current page snapshot plus list of all tabs (URL, title) and active tab index.
    * Handles navigation: if context is destroyed, waits for load and retries.
@@ -250,39 +526,207 @@ export class BrowserController {
     return { ...pageSnapshot, tabs, activeTabIndex: activeIndex };
   }
 
+  /**
+   * Screenshot of the current tab's viewport with element ids from the snapshot drawn on it (vision mode).
+   * @param {Parameters<typeof takeMarkedScreenshot>[1]} snapshot - taken from the current tab just before
+   * @returns {Promise<string>} JPEG data URL
+   */
+  async getScreenshot(snapshot) {
+    return takeMarkedScreenshot(this.getPage(), snapshot);
+  }
+
+  /**
+   * Search the visible text of the current tab and scroll the chosen match into view (see findTextInPage).
+   * @param {string} query
+   * @param {{ regex?: boolean; matchIndex?: number }} [options]
+   */
+  async findText(query, options) {
+    const result = await findTextInPage(this.getPage(), query, options);
+    if (result.scrolledTo) await this.#delay();
+    return result;
+  }
+
   /**
    * Navigate to URL. Waits for DOM then optionally for network idle (dynamic content).
    * @param {string} url
    */
   async navigate(url) {
     const page = this.getPage();
-    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    try {
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    } catch (err) {
+      // A direct link to a file starts a download instead of a page load; the download handler saves it.
+      if (!/Download is starting/i.test(String(err?.message))) throw err;
+    }
     await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
     await this.#delay();
   }
 
   /**
-   * Click element by id from the given snapshot. Tries Playwright (normal → force) first so hh.ru
-   * and similar sites get a real mouse click; on failure uses JS click with inner/parent link resolution.
-   * @param {{ url: string; title: string; elements: Array<{ id: number; selector: unknown; role?: string; tagName?: string; text?: string }> }} snapshot
+   * Reload the current tab. Waits for load like navigate.
+   */
+  async reload() {
+    const page = this.getPage();
+    await page.reload({ waitUntil: 'domcontentloaded', timeout: 30000 });
+    await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+    await this.#delay();
+  }
+
+  /**
+   * Go back in the current tab's history. Same-document entries (pushState, hash changes) give no
+   * response, so the URL is compared as well.
+   * @returns {Promise<boolean>} false if there was no previous page
+   */
+  async goBack() {
+    const page = this.getPage();
+    const before = page.url();
+    const response = await page.goBack({ waitUntil: 'domcontentloaded', timeout: 30000 });
+    await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+    await this.#delay();
+    return response !== null || page.url() !== before;
+  }
+
+  /**
+   * Go forward in the current tab's history. Same-document entries (pushState, hash changes) give no
+   * response, so the URL is compared as well.
+   * @returns {Promise<boolean>} false if there was no next page
+   */
+  async goForward() {
+    const page = this.getPage();
+    const before = page.url();
+    const response = await page.goForward({ waitUntil: 'domcontentloaded', timeout: 30000 });
+    await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+    await this.#delay();
+    return response !== null || page.url() !== before;
+  }
+
+  /**
+   * Wait until a condition holds in the current tab. Conditions are polled, so navigations while
+   * waiting (e.g. after a form submit) do not break the wait. network_idle needs no request in flight
+   * for NETWORK_QUIET_MS (Playwright's 'networkidle' load state only covers the initial page load).
+   * @param {{ elements: Array<{ id: number; selector: unknown }> }} snapshot - resolves element_* conditions
+   * @param {{ condition: 'text_visible' | 'text_hidden' | 'element_visible' | 'element_enabled' | 'element_hidden' | 'url_matches' | 'network_idle'; text?: string; elementId?: number; urlPattern?: string; timeoutMs: number }} spec
+   * @returns {Promise<{ met: boolean; elapsedMs: number; url: string }>}
+   */
+  async waitFor(snapshot, spec) {
+    const { timeoutMs } = spec;
+    const started = Date.now();
+    const met = await this.#poll(this.#waitCheck(snapshot, spec), timeoutMs);
+    return { met, elapsedMs: Date.now() - started, url: this.getPage().url() };
+  }
+
+  /**
+   * @param {{ elements: Array<{ id: number; selector: unknown }> }} snapshot
+   * @param {{ condition: string; text?: string; elementId?: number; urlPattern?: string }} spec
+   * @returns {() => Promise<boolean>}
+   */
+  #waitCheck(snapshot, { condition, text, elementId, urlPattern }) {
+    if (condition === 'text_visible' || condition === 'text_hidden') {
+      const needle = String(text).toLowerCase();
+      const present = condition === 'text_visible';
+      return async () => {
+        const bodyText = await this.getPage().evaluate(() => document.body?.innerText || '');
+        return bodyText.toLowerCase().includes(needle) === present;
+      };
+    }
+    if (condition === 'network_idle') {
+      return async () => {
+        const state = this.#network.get(this.getPage());
+        return !state || (state.inFlight.size === 0 && Date.now() - state.lastActivity >= NETWORK_QUIET_MS);
+      };
+    }
+    if (condition === 'url_matches') {
+      const matches = urlMatcher(String(urlPattern));
+      return async () => matches(this.getPage().url());
+    }
+    if (condition === 'element_visible' || condition === 'element_hidden' || condition === 'element_enabled') {
+      const el = findElementInSnapshot(snapshot, /** @type {number} */ (elementId));
+      const selectorDesc = /** @type {{ type: string; value?: string; selector?: string; index?: number }} */ (el.selector);
+      return async () => {
+        const frame = await frameOfElement(this.getPage(), el);
+        const locator = locatorFromSelector(frame, selectorDesc);
+        const visible = await locator.isVisible();
+        if (condition === 'element_hidden') return !visible;
+        if (condition === 'element_visible' || !visible) return visible;
+        return locator.evaluate((node) => !node.disabled && node.getAttribute('aria-disabled') !== 'true', null, { timeout: 1000 });
+      };
+    }
+    throw new Error('Unknown wait condition: ' + condition);
+  }
+
+  /**
+   * Evaluate check every WAIT_POLL_MS until it returns true or timeoutMs passes. A check that throws
+   * (page navigating, element detached) counts as not yet true.
+   * @param {() => Promise<boolean>} check
+   * @param {number} timeoutMs
+   */
+  async #poll(check, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      if (await check().catch(() => false)) return true;
+      if (Date.now() >= deadline) return false;
+      await new Promise((r) => setTimeout(r, WAIT_POLL_MS));
+    }
+  }
+
+  /**
+   * Resolve an element from the snapshot, wait until visible and scroll it into view.
+   * @param {{ elements: Array<{ id: number; selector: unknown; role?: string; tagName?: string; text?: string; href?: string }> }} snapshot
    * @param {number} elementId
    */
-  async clickElement(snapshot, elementId) {
+  async #pointerTarget(snapshot, elementId) {
     const el = findElementInSnapshot(snapshot, elementId);
     const page = this.getPage();
     const selectorDesc = /** @type {{ type: string; value?: string; selector?: string; index?: number }} */ (el.selector);
     const textHint = (el.text || el.href || '').trim().slice(0, 40);
-    const locator = locatorFromSelector(page, selectorDesc);
+    const frame = await frameOfElement(page, el);
+    const locator = locatorFromSelector(frame, selectorDesc);
 
     await locator.waitFor({ state: 'visible', timeout: 15000 });
     await locator.scrollIntoViewIfNeeded({ timeout: 8000 });
     await this.#delay();
+    return { el, page, frame, selectorDesc, textHint, locator };
+  }
+
+  /**
+   * Fallback chain shared by pointer actions: Playwright → Playwright force → JS events.
+   * @param {string} label - log prefix, e.g. 'click'
+   * @param {{ frame: import('playwright').Frame; selectorDesc: { type: string; value?: string; selector?: string; index?: number }; textHint: string; locator: import('playwright').Locator }} target
+   * @param {(locator: import('playwright').Locator, options: { timeout: number; force?: boolean }) => Promise<void>} action
+   * @param {'click' | 'dblclick' | 'contextmenu' | 'hover'} kind - JS fallback event kind
+   */
+  async #pointerWithFallbacks(label, target, action, kind) {
+    const { frame, selectorDesc, textHint, locator } = target;
+    try {
+      console.log(`[${label}] Playwright`);
+      await action(locator, { timeout: 10000 });
+    } catch (err) {
+      try {
+        console.log(`[${label}] Playwright force`);
+        await action(locator, { timeout: 5000, force: true });
+      } catch (err2) {
+        console.log(`[${label}] JS fallback`);
+        await clickViaEvaluate(frame, selectorDesc, textHint, kind);
+      }
+    }
+    await new Promise((r) => setTimeout(r, CLICK_AFTER_DELAY_MS));
+  }
+
+  /**
+   * Click element by id from the given snapshot. Tries Playwright (normal → force) first so hh.ru
+   * and similar sites get a real mouse click; on failure uses JS click with inner/parent link resolution.
+   * @param {{ url: string; title: string; elements: Array<{ id: number; selector: unknown; role?: string; tagName?: string; text?: string }> }} snapshot
+   * @param {number} elementId
+   */
+  async clickElement(snapshot, elementId) {
+    const target = await this.#pointerTarget(snapshot, elementId);
+    const { el, frame, selectorDesc, textHint, locator } = target;
 
     const isWrapper = (el.tagName === 'div' || el.tagName === 'span') && el.role === 'button';
     if (isWrapper) {
       try {
         console.log('[click] JS (wrapper card → link)');
-        await clickViaEvaluate(page, selectorDesc, textHint);
+        await clickViaEvaluate(frame, selectorDesc, textHint);
         await new Promise((r) => setTimeout(r, CLICK_AFTER_DELAY_MS));
         return;
       } catch (_) {
@@ -297,17 +741,86 @@ export class BrowserController {
       }
     }
 
-    try {
-      console.log('[click] Playwright');
-      await locator.click({ timeout: 10000 });
-    } catch (err) {
+    await this.#pointerWithFallbacks('click', target, (loc, options) => loc.click(options), 'click');
+  }
+
+  /**
+   * Move the mouse over an element (opens hover menus/tooltips). Same fallback chain as clickElement.
+   * @param {{ elements: Array<{ id: number; selector: unknown }> }} snapshot
+   * @param {number} elementId
+   */
+  async hoverElement(snapshot, elementId) {
+    const target = await this.#pointerTarget(snapshot, elementId);
+    await this.#pointerWithFallbacks('hover', target, (loc, options) => loc.hover(options), 'hover');
+  }
+
+  /**
+   * Double-click an element. Same fallback chain as clickElement.
+   * @param {{ elements: Array<{ id: number; selector: unknown }> }} snapshot
+   * @param {number} elementId
+   */
+  async doubleClickElement(snapshot, elementId) {
+    const target = await this.#pointerTarget(snapshot, elementId);
+    await this.#pointerWithFallbacks('double_click', target, (loc, options) => loc.dblclick(options), 'dblclick');
+  }
+
+  /**
+   * Right-click an element (context menu). Same fallback chain as clickElement.
+   * @param {{ elements: Array<{ id: number; selector: unknown }> }} snapshot
+   * @param {number} elementId
+   */
+  async rightClickElement(snapshot, elementId) {
+    const target = await this.#pointerTarget(snapshot, elementId);
+    await this.#pointerWithFallbacks('right_click', target, (loc, options) => loc.click({ ...options, button: 'right' }), 'contextmenu');
+  }
+
+  /**
+   * Drag an element onto another element or by a pixel offset. Tries Playwright dragTo, then a
+   * stepwise mouse drag, then (element target only) HTML5 drag events from JS.
+   * @param {{ elements: Array<{ id: number; selector: unknown }> }} snapshot
+   * @param {number} sourceId
+   * @param {{ elementId: number } | { dx: number; dy: number }} to
+   */
+  async dragElement(snapshot, sourceId, to) {
+    const source = await this.#pointerTarget(snapshot, sourceId);
+    const { page } = source;
+    const targetEl = 'elementId' in to ? findElementInSnapshot(snapshot, to.elementId) : null;
+    const targetDesc = targetEl
+      ? /** @type {{ type: string; value?: string; selector?: string; index?: number }} */ (targetEl.selector)
+      : null;
+    const targetFrame = targetEl ? await frameOfElement(page, targetEl) : null;
+    const targetLocator = targetDesc && targetFrame ? locatorFromSelector(targetFrame, targetDesc) : null;
+
+    if (targetLocator) {
       try {
-        console.log('[click] Playwright force');
-        await locator.click({ timeout: 5000, force: true });
-      } catch (err2) {
-        console.log('[click] JS fallback');
-        await clickViaEvaluate(page, selectorDesc, textHint);
+        console.log('[drag] Playwright');
+        await source.locator.dragTo(targetLocator, { timeout: 10000 });
+        await new Promise((r) => setTimeout(r, CLICK_AFTER_DELAY_MS));
+        return;
+      } catch (_) {}
+    }
+
+    try {
+      console.log('[drag] Mouse');
+      const from = await source.locator.boundingBox();
+      if (!from) throw new Error('Drag source has no bounding box');
+      const x = from.x + from.width / 2;
+      const y = from.y + from.height / 2;
+      let end = { x: x + ('dx' in to ? to.dx : 0), y: y + ('dy' in to ? to.dy : 0) };
+      if (targetLocator) {
+        const box = await targetLocator.boundingBox();
+        if (!box) throw new Error('Drag target has no bounding box');
+        end = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
       }
+      await page.mouse.move(x, y);
+      await page.mouse.down();
+      await page.mouse.move(x + 5, y + 5, { steps: 2 });
+      await page.mouse.move(end.x, end.y, { steps: 15 });
+      await page.mouse.up();
+    } catch (err) {
+      if (!targetDesc || targetFrame !== source.frame) throw err;
+      console.log('[drag] JS fallback');
+      await dragViaEvaluate(source.frame, source.selectorDesc, targetDesc);
     }
     await new Promise((r) => setTimeout(r, CLICK_AFTER_DELAY_MS));
   }
@@ -322,7 +835,7 @@ export class BrowserController {
     const page = this.getPage();
     if (elementId != null) {
       const el = findElementInSnapshot(snapshot, elementId);
-      const locator = locatorFromSelector(page, /** @type {{ type: string; value?: string; selector?: string; index?: number }} */ (el.selector));
+      const locator = locatorFromSelector(await frameOfElement(page, el), /** @type {{ type: string; value?: string; selector?: string; index?: number }} */ (el.selector));
       await locator.fill('');
       await locator.fill(text, { timeout: 5000 });
     } else {
@@ -331,6 +844,50 @@ export class BrowserController {
     await this.#delay();
   }
 
+  /**
+   * Press a key or combination, on an element (focused first) or on whatever has focus.
+   * @param {{ elements: Array<{ id: number; selector: unknown }> }} snapshot
+   * @param {number | null} elementId - null = focused element / page
+   * @param {string} combo - key or combination, validated with normalizeKeyCombo
+   * @returns {Promise<string>} normalized combination that was pressed
+   */
+  async pressKey(snapshot, elementId, combo) {
+    const keys = normalizeKeyCombo(combo);
+    const page = this.getPage();
+    if (elementId != null) {
+      const el = findElementInSnapshot(snapshot, elementId);
+      const locator = locatorFromSelector(await frameOfElement(page, el), /** @type {{ type: string; value?: string; selector?: string; index?: number }} */ (el.selector));
+      await locator.press(keys, { timeout: 5000 });
+    } else {
+      await page.keyboard.press(keys);
+    }
+    await this.#delay();
+    return keys;
+  }
+
+  /**
+   * Set a file on a file input, or — for custom upload buttons — click the element and fill the file
+   * chooser it opens.
+   * @param {{ elements: Array<{ id: number; selector: unknown; tagName?: string; type?: string }> }} snapshot
+   * @param {number} elementId
+   * @param {string} filePath - absolute path (already checked against the upload sandbox)
+   */
+  async uploadFile(snapshot, elementId, filePath) {
+    const el = findElementInSnapshot(snapshot, elementId);
+    const page = this.getPage();
+    const locator = locatorFromSelector(await frameOfElement(page, el), /** @type {{ type: string; value?: string; selector?: string; index?: number }} */ (el.selector));
+    if (el.tagName === 'input' && el.type === 'file') {
+      await locator.setInputFiles(filePath, { timeout: 5000 });
+    } else {
+      const [chooser] = await Promise.all([
+        page.waitForEvent('filechooser', { timeout: 10000 }),
+        locator.click({ timeout: 10000 }),
+      ]);
+      await chooser.setFiles(filePath);
+    }
+    await this.#delay();
+  }
+
   /**
    * Select option in <select> by value or by visible label.
    * @param {{ elements: Array<{ id: number; selector: unknown }> }} snapshot
@@ -340,7 +897,7 @@ export class BrowserController {
   async selectOption(snapshot, elementId, valueOrLabel) {
     const el = findElementInSnapshot(snapshot, elementId);
     const page = this.getPage();
-    const locator = locatorFromSelector(page, /** @type {{ type: string; value?: string; selector?: string; index?: number }} */ (el.selector));
+    const locator = locatorFromSelector(await frameOfElement(page, el), /** @type {{ type: string; value?: string; selector?: string; index?: number }} */ (el.selector));
     await locator.selectOption({ value: valueOrLabel }, { timeout: 5000 }).catch(() =>
       locator.selectOption({ label: valueOrLabel }, { timeout: 5000 })
     );
@@ -356,7 +913,7 @@ export class BrowserController {
   async setCheckbox(snapshot, elementId, checked) {
     const el = findElementInSnapshot(snapshot, elementId);
     const page = this.getPage();
-    const locator = locatorFromSelector(page, /** @type {{ type: string; value?: string; selector?: string; index?: number }} */ (el.selector));
+    const locator = locatorFromSelector(await frameOfElement(page, el), /** @type {{ type: string; value?: string; selector?: string; index?: number }} */ (el.selector));
     if (checked) await locator.check({ timeout: 5000 });
     else await locator.uncheck({ timeout: 5000 });
     await this.#delay();
@@ -373,6 +930,7 @@ export class BrowserController {
     else if (direction === 'up') await page.mouse.wheel(0, -delta);
     else if (direction === 'left') await page.mouse.wheel(-delta, 0);
     else if (direction === 'right') await page.mouse.wheel(delta, 0);
+    await clearTextFocus(page).catch(() => {});
     await this.#delay();
   }
 
@@ -380,6 +938,27 @@ export class BrowserController {
     return new Promise((r) => setTimeout(r, ACTION_DELAY_MS));
   }
 
+  /**
+   * Downloads finished (or failed) since the last call. Waits up to timeoutMs for downloads still in
+   * progress; slower ones are reported by a later call.
+   * @param {number} [timeoutMs]
+   * @returns {Promise<Array<{ path: string; fileName: string; url: string; error?: string }>>}
+   */
+  async takeDownloads(timeoutMs = DOWNLOAD_WAIT_MS) {
+    if (!this.#downloads.length) return [];
+    let timer;
+    await Promise.race([
+      Promise.all(this.#downloads.map((d) => d.done)),
+      new Promise((r) => {
+        timer = setTimeout(r, timeoutMs);
+      }),
+    ]);
+    clearTimeout(timer);
+    const finished = this.#downloads.filter((d) => d.record);
+    this.#downloads = this.#downloads.filter((d) => !d.record);
+    return finished.map((d) => /** @type {{ path: string; fileName: string; url: string; error?: string }} */ (d.record));
+  }
+
   async close() {
     if (this.#context) {
       await this.#context.close();
@@ -0,0 +1,144 @@
+/**
+ * Runtime configuration from environment (.env): OpenAI-compatible endpoint, per-role models, run limits.
+ * Roles: classifier (task classification), planner (plan mode) and the sub-agents browse, form, read, default.
+ */
+
+import { readFileSync } from 'fs';
+
+export const DEFAULT_MODEL = 'gpt-4o-mini';
+
+/** @type {string[]} Agent roles that can have their own model/temperature. */
+export const ROLES = ['classifier', 'planner', 'browse', 'form', 'read', 'default'];
+
+function readNumber(env, name) {
+  const raw = env[name];
+  if (raw == null || String(raw).trim() === '') return undefined;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+function readString(env, name) {
+  const raw = (env[name] || '').trim();
+  return raw || undefined;
+}
+
+function readBoolean(env, name) {
+  return /^(1|true|yes)$/i.test(readString(env, name) ?? '');
+}
+
+function positive(n) {
+  return n != null && n > 0 ? n : undefined;
+}
+
+/**
+ * AGENT_MODEL_PRICES: JSON {"model": {"input": 0.15, "output": 0.6}} in USD per 1M tokens.
+ */
+function readPrices(env) {
+  const raw = readString(env, 'AGENT_MODEL_PRICES');
+  if (!raw) return undefined;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new Error('AGENT_MODEL_PRICES must be JSON: ' + err.message);
+  }
+}
+
+/**
+ * AGENT_OUTPUT_SCHEMA: path to a JSON Schema file for the structured task_done data.
+ */
+function readOutputSchema(env) {
+  const file = readString(env, 'AGENT_OUTPUT_SCHEMA');
+  if (!file) return undefined;
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`AGENT_OUTPUT_SCHEMA: cannot read JSON schema from ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * @typedef {{ model: string; temperature?: number }} RoleSettings
+ * @typedef {{
+ *   apiKey?: string;
+ *   baseURL?: string;
+ *   timeoutMs?: number;
+ *   maxContextTokens?: number;
+ *   transcriptDir?: string;
+ *   plan: boolean;
+ *   vision: boolean;
+ *   limits: import('./usage.js').RunLimits;
+ *   prices?: Record<string, { input: number; output: number }>;
+ *   outputSchema?: Record<string, unknown>;
+ *   retry: import('./retry.js').RetryOptions;
+ *   uploadDir?: string;
+ *   downloadDir: string;
+ *   pluginDir?: string;
+ *   roles: Record<string, RoleSettings>;
+ * }} AgentConfig
+ */
+
+/**
+ * Build config from env. Per-role variables (AGENT_MODEL_FORM, AGENT_TEMPERATURE_CLASSIFIER, ...)
+ * override the shared AGENT_MODEL / AGENT_TEMPERATURE.
+ * @param {Record<string, string | undefined>} [env]
+ * @returns {AgentConfig}
+ */
+export function loadConfig(env = process.env) {
+  const sharedModel = readString(env, 'AGENT_MODEL') ?? DEFAULT_MODEL;
+  const sharedTemperature = readNumber(env, 'AGENT_TEMPERATURE');
+
+  /** @type {Record<string, RoleSettings>} */
+  const roles = {};
+  for (const role of ROLES) {
+    const suffix = role.toUpperCase();
+    roles[role] = {
+      model: readString(env, 'AGENT_MODEL_' + suffix) ?? sharedModel,
+      temperature: readNumber(env, 'AGENT_TEMPERATURE_' + suffix) ?? sharedTemperature,
+    };
+  }
+
+  const maxDurationSec = positive(readNumber(env, 'AGENT_MAX_DURATION_SEC'));
+  return {
+    apiKey: readString(env, 'OPENAI_API_KEY'),
+    baseURL: readString(env, 'OPENAI_BASE_URL'),
+    timeoutMs: positive(readNumber(env, 'OPENAI_TIMEOUT_MS')),
+    maxContextTokens: positive(readNumber(env, 'AGENT_MAX_CONTEXT_TOKENS')),
+    transcriptDir: readString(env, 'AGENT_TRANSCRIPT_DIR'),
+    plan: readBoolean(env, 'AGENT_PLAN'),
+    vision: readBoolean(env, 'AGENT_VISION'),
+    limits: {
+      maxTokens: positive(readNumber(env, 'AGENT_MAX_TOKENS')),
+      maxCostUsd: positive(readNumber(env, 'AGENT_MAX_COST_USD')),
+      maxDurationMs: maxDurationSec && maxDurationSec * 1000,
+    },
+    prices: readPrices(env),
+    outputSchema: readOutputSchema(env),
+    retry: {
+      maxRetries: readNumber(env, 'AGENT_MAX_RETRIES'),
+      fallbackModel: readString(env, 'AGENT_FALLBACK_MODEL'),
+    },
+    uploadDir: readString(env, 'AGENT_UPLOAD_DIR'),
+    downloadDir: readString(env, 'AGENT_DOWNLOAD_DIR') ?? './downloads',
+    pluginDir: readString(env, 'AGENT_PLUGIN_DIR'),
+    roles,
+  };
+}
+
+/**
+ * Model and temperature for a role; falls back to the default role, then to DEFAULT_MODEL.
+ * @param {Record<string, RoleSettings> | undefined} roles
+ * @param {string} role
+ * @returns {RoleSettings}
+ */
+export function getRoleSettings(roles, role) {
+  return roles?.[role] ?? roles?.default ?? { model: DEFAULT_MODEL };
+}
+
+/**
+ * Request params for chat.completions.create from role settings (temperature only when set).
+ * @param {RoleSettings} settings
+ * @returns {{ model: string; temperature?: number }}
+ */
+export function modelParams(settings) {
+  return settings.temperature != null ? { model: settings.model, temperature: settings.temperature } : { model: settings.model };
+}
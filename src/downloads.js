@@ -0,0 +1,41 @@
+/**
+ * Download capture: saves files downloaded by the browser into the downloads directory under
+ * sanitized, de-duplicated names.
+ */
+
+import { existsSync, mkdirSync } from 'fs';
+import { extname, join, resolve } from 'path';
+
+/**
+ * Make a site-suggested file name safe for the local file system.
+ * @param {string} name
+ * @returns {string}
+ */
+function sanitizeFileName(name) {
+  const cleaned = String(name || '')
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+    .replace(/^[.\s]+|[.\s]+$/g, '')
+    .slice(0, 200);
+  return cleaned || 'download';
+}
+
+/**
+ * Pick a free path in dir for name: "report.csv", then "report (1).csv", "report (2).csv", ...
+ * @param {string} dir
+ * @param {string} name - suggested file name
+ * @param {Set<string>} reserved - paths already taken by downloads still being saved; the result is added to it
+ * @returns {string} absolute path
+ */
+export function uniqueDownloadPath(dir, name, reserved) {
+  const root = resolve(dir);
+  mkdirSync(root, { recursive: true });
+  const safe = sanitizeFileName(name);
+  const ext = extname(safe);
+  const stem = safe.slice(0, safe.length - ext.length) || 'download';
+  let candidate = join(root, safe);
+  for (let n = 1; existsSync(candidate) || reserved.has(candidate); n++) {
+    candidate = join(root, `${stem} (${n})${ext}`);
+  }
+  reserved.add(candidate);
+  return candidate;
+}
@@ -0,0 +1,201 @@
+/**
+ * Context-window management for the agent conversation: keeps the latest full page snapshot (and the
+ * changes-only steps after it) and the latest screenshot, replaces older snapshots with one-line step
+ * summaries and drops the oldest steps when the prompt would exceed the token budget.
+ */
+
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const MAX_ACTION_CHARS = 160;
+const MAX_DIGEST_LINES = 40;
+/** Approximate cost of one viewport screenshot (high detail, ~1280x800). */
+const IMAGE_TOKENS = 1100;
+
+/**
+ * Rough token estimate for a piece of text (~4 chars per token for English/markup).
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTextTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Rough token estimate for a list of chat messages (content, tool calls and per-message overhead).
+ * @param {Array<{ role: string; content?: string | null | Array<{ type: string; text?: string }>; tool_calls?: Array<{ function?: { name?: string; arguments?: string } }> }>} messages
+ * @returns {number}
+ */
+export function estimateTokens(messages) {
+  let tokens = 0;
+  for (const m of messages) {
+    tokens += MESSAGE_OVERHEAD_TOKENS;
+    if (typeof m.content === 'string') tokens += estimateTextTokens(m.content);
+    if (Array.isArray(m.content)) {
+      for (const part of m.content) tokens += part.type === 'image_url' ? IMAGE_TOKENS : estimateTextTokens(part.text);
+    }
+    for (const tc of m.tool_calls ?? []) {
+      tokens += estimateTextTokens((tc.function?.name || '') + (tc.function?.arguments || ''));
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Conversation history of one agent run. Each step starts with a page-state message; the assistant
+ * tool calls and tool results that follow belong to the same step until the next state message.
+ */
+export class AgentHistory {
+  /** @type {Array<Record<string, unknown>>} Messages sent to the model (system, task, then steps). */
+  messages;
+  /** @type {Array<{ index: number; url: string; title: string; stateMessage: { role: string; content: string | Array<Record<string, unknown>> }; text: string; image?: string; partial: boolean; actions: string[]; compacted: boolean }>} */
+  #steps = [];
+  /** @type {{ role: string; content: string } | null} */
+  #digestMessage = null;
+  /** @type {string[]} */
+  #digestLines = [];
+  #droppedCount = 0;
+
+  /**
+   * @param {string} systemPrompt
+   * @param {string} taskText - first user message (the task itself)
+   */
+  constructor(systemPrompt, taskText) {
+    this.messages = [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: taskText },
+    ];
+  }
+
+  /**
+   * Start a new step with a full page-state message.
+   * @param {number} index - iteration number (0-based)
+   * @param {{ url: string; title: string }} snapshot
+   * @param {string} content - full state message text
+   * @param {string} [image] - screenshot data URL sent with the text (multimodal message)
+   * @param {{ partial?: boolean }} [options] - partial: content lists only changes since earlier steps, not the full element list
+   */
+  addStep(index, snapshot, content, image, options = {}) {
+    const stateMessage = { role: 'user', content: image ? stateContent(content, image) : content };
+    const partial = !!options.partial;
+    this.#steps.push({ index, url: snapshot.url, title: snapshot.title, stateMessage, text: content, image, partial, actions: [], compacted: false });
+    this.messages.push(stateMessage);
+  }
+
+  /**
+   * Whether the prompt still holds a screenshot (a step may then refer to it instead of attaching a new one).
+   * @returns {boolean}
+   */
+  hasScreenshot() {
+    return this.#steps.some((step) => step.image);
+  }
+
+  /**
+   * @param {Record<string, unknown>} message
+   */
+  push(message) {
+    this.messages.push(message);
+  }
+
+  /**
+   * Record what was done in the current step (used for the summary once its snapshot is compacted).
+   * @param {string} action - e.g. 'click_element(element_id=5)'
+   * @param {string} outcome - e.g. 'ok: Clicked element 5'
+   */
+  recordAction(action, outcome) {
+    const step = this.#steps[this.#steps.length - 1];
+    if (!step) return;
+    const line = action + ' → ' + outcome.replace(/\s+/g, ' ');
+    step.actions.push(line.length > MAX_ACTION_CHARS ? line.slice(0, MAX_ACTION_CHARS) + '...' : line);
+  }
+
+  /**
+   * Compact older snapshots and drop the oldest steps until the estimated prompt fits maxTokens.
+   * As a last resort the latest full snapshot is truncated; partial steps after it are kept whole.
+   * @param {number} maxTokens
+   * @returns {{ tokens: number; truncated: boolean }} tokens: estimated prompt tokens after compaction;
+   *   truncated: the full snapshot lost its tail, so the next step should send a full one again
+   */
+  fitToBudget(maxTokens) {
+    const base = this.#lastFullStep();
+    const screenshotStep = this.#steps.findLast((step) => step.image);
+    for (const step of this.#steps.slice(0, -1)) {
+      const compact = !step.compacted && !(base && step.index >= base.index);
+      const dropImage = !!step.image && step !== screenshotStep;
+      if (!compact && !dropImage) continue;
+      if (compact) {
+        step.text = 'Earlier page state (compacted). ' + summarizeStep(step);
+        step.compacted = true;
+      }
+      if (dropImage) step.image = undefined;
+      step.stateMessage.content = step.image ? stateContent(step.text, step.image) : step.text;
+    }
+
+    let tokens = estimateTokens(this.messages);
+    let dropped = 0;
+    while (tokens > maxTokens && this.#steps.length > 1 && this.#steps[0] !== (base ?? this.#steps[this.#steps.length - 1])) {
+      this.#dropOldestStep();
+      dropped++;
+      tokens = estimateTokens(this.messages);
+    }
+    if (dropped) {
+      console.log('[Agent] Context: dropped %d old step(s), ~%d tokens (budget %d)', dropped, tokens, maxTokens);
+    }
+
+    const full = base ?? this.#steps[this.#steps.length - 1];
+    if (tokens <= maxTokens || !full) return { tokens, truncated: false };
+    const excessChars = (tokens - maxTokens) * CHARS_PER_TOKEN;
+    const keep = Math.max(0, full.text.length - excessChars - 100);
+    full.text = full.text.slice(0, keep) + '\n... (snapshot truncated to fit context budget)';
+    full.stateMessage.content = full.image ? stateContent(full.text, full.image) : full.text;
+    tokens = estimateTokens(this.messages);
+    console.log('[Agent] Context: latest full snapshot truncated, ~%d tokens (budget %d)', tokens, maxTokens);
+    return { tokens, truncated: true };
+  }
+
+  /** Latest step with a full snapshot; the partial steps after it refer to its element list. */
+  #lastFullStep() {
+    return this.#steps.findLast((step) => !step.partial);
+  }
+
+  #dropOldestStep() {
+    const [oldest, next] = this.#steps;
+    const start = this.messages.indexOf(oldest.stateMessage);
+    const end = this.messages.indexOf(next.stateMessage);
+    this.messages.splice(start, end - start);
+    this.#steps.shift();
+
+    this.#digestLines.push(summarizeStep(oldest));
+    if (this.#digestLines.length > MAX_DIGEST_LINES) {
+      this.#digestLines.shift();
+      this.#droppedCount++;
+    }
+    const header = 'Earlier steps (summarized to save context):' + (this.#droppedCount ? ` (${this.#droppedCount} older steps omitted)` : '');
+    if (!this.#digestMessage) {
+      this.#digestMessage = { role: 'user', content: '' };
+      this.messages.splice(start, 0, this.#digestMessage);
+    }
+    this.#digestMessage.content = [header, ...this.#digestLines].join('\n');
+  }
+}
+
+/**
+ * Multimodal page-state content: the text snapshot followed by the screenshot.
+ * @param {string} text
+ * @param {string} image - data URL
+ */
+function stateContent(text, image) {
+  return [
+    { type: 'text', text },
+    { type: 'image_url', image_url: { url: image } },
+  ];
+}
+
+/**
+ * One-line summary of a step: URL, title and the actions taken with their results.
+ * @param {{ index: number; url: string; title: string; actions: string[] }} step
+ * @returns {string}
+ */
+function summarizeStep(step) {
+  const actions = step.actions.length ? step.actions.join('; ') : 'no action';
+  return `Step ${step.index + 1}: ${step.url} ("${(step.title || '').slice(0, 60)}") — ${actions}`;
+}
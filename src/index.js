@@ -7,6 +7,11 @@ import * as readline from 'readline';
 import OpenAI from 'openai';
 import { BrowserController } from './browser.js';
 import { runAgent } from './agent.js';
+import { loadConfig } from './config.js';
+import { createToolRegistry } from './tools.js';
+import { loadPlugins } from './toolRegistry.js';
+import { TranscriptRecorder } from './transcript.js';
+import { formatCost } from './usage.js';
 
 async function promptTask() {
   const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
@@ -19,7 +24,8 @@ async function promptTask() {
 }
 
 async function main() {
-  if (!process.env.OPENAI_API_KEY) {
+  const config = loadConfig();
+  if (!config.apiKey && !config.baseURL) {
     console.error('Set OPENAI_API_KEY in .env (see .env.example)');
     process.exit(1);
   }
@@ -33,7 +39,19 @@ async function main() {
     await new Promise((resolve) => rl.question('Готовы? Enter... ', () => { rl.close(); resolve(); }));
   }
 
-  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  // Local OpenAI-compatible servers usually ignore the key, but the client requires a non-empty one.
+  const openai = new OpenAI({
+    apiKey: config.apiKey ?? 'not-needed',
+    baseURL: config.baseURL,
+    timeout: config.timeoutMs,
+    // Retries are handled by runAgent (backoff, Retry-After, fallback model).
+    maxRetries: 0,
+  });
+  const tools = createToolRegistry();
+  if (config.pluginDir) {
+    const added = await loadPlugins(tools, config.pluginDir);
+    console.log('Plugin tools:', added.join(', ') || '(none)');
+  }
   const task = await promptTask();
   if (!task) {
     console.log('No task entered. Exiting.');
@@ -50,25 +68,56 @@ async function main() {
     });
   }
 
+  async function getUserInput(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise((resolve) => {
+      rl.question(`\n--- Agent asks ---\n${question}\nYour answer: `, (answer) => {
+        rl.close();
+        resolve((answer || '').trim());
+      });
+    });
+  }
+
   const browser = new BrowserController();
+  // First Ctrl+C stops the run cleanly between steps; the default handler exits on the second one
+  // (and on the first one once the run is over).
+  const controller = new AbortController();
+  const onInterrupt = () => {
+    console.log('\nStopping the agent...');
+    controller.abort(new Error('interrupted by user'));
+  };
   try {
-    await browser.launch(interactive ? { halfScreen: true, side: 'right' } : {});
+    await browser.launch({ ...(interactive ? { halfScreen: true, side: 'right' } : {}), downloadDir: config.downloadDir });
     console.log('Browser opened. Agent is working...');
-    const result = await runAgent({ openai, browser, getUserConfirmation }, task);
+    process.once('SIGINT', onInterrupt);
+    const transcript = config.transcriptDir ? TranscriptRecorder.inDirectory(config.transcriptDir) : undefined;
+    if (transcript) console.log('Recording transcript to', transcript.path);
+    const result = await runAgent({ openai, browser, getUserConfirmation, getUserInput, transcript, tools }, task, {
+      maxContextTokens: config.maxContextTokens,
+      roles: config.roles,
+      plan: config.plan,
+      vision: config.vision,
+      limits: config.limits,
+      prices: config.prices,
+      outputSchema: config.outputSchema,
+      signal: controller.signal,
+      retry: config.retry,
+      uploadDir: config.uploadDir,
+    });
     if (result.done) {
-      if (result.userQuestion) {
-        console.log('\n--- Agent asks ---\n' + result.userQuestion);
-        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-        await new Promise((res) => rl.question('Your answer: ', res));
-        rl.close();
-        console.log('Re-run the app to continue, or complete the task manually in the browser.');
-      } else {
-        console.log('\n--- Result ---\n' + (result.result || 'Task completed.'));
-      }
+      console.log('\n--- Result ---\n' + (result.result || 'Task completed.'));
+      if (result.data !== undefined) console.log('\n--- Data ---\n' + JSON.stringify(result.data, null, 2));
     } else {
       console.error('\nStopped:', result.error || 'Unknown error');
     }
+    if (result.downloads.length) console.log('\n--- Downloads ---\n' + result.downloads.join('\n'));
+    const { usage } = result;
+    console.log(
+      `Usage: ${usage.totalTokens} tokens (${usage.promptTokens} prompt / ${usage.completionTokens} completion) in ${usage.calls} calls, ` +
+        `~${formatCost(usage.costUsd)}${usage.costComplete ? '' : ' (some models have no known price)'}, ${Math.round(usage.durationMs / 1000)}s`
+    );
   } finally {
+    process.off('SIGINT', onInterrupt);
     console.log('Browser remains open. Close it manually or run the app again for a new task.');
   }
 }
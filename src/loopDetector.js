@@ -0,0 +1,132 @@
+/**
+ * Stuck-loop detection: repeated identical tool calls, an unchanged page over several steps, and
+ * oscillation between two page states. Escalates on repeated detections: warn the model → reload →
+ * go back → ask the user → abort.
+ */
+
+import { snapshotFingerprint } from './pageSnapshot.js';
+
+const REPEATED_ACTION_LIMIT = 3;
+const UNCHANGED_STATE_LIMIT = 4;
+const OSCILLATION_WINDOW = 6;
+
+/** Escalation steps, in order. The detection count selects the step (1 → warn, 2 → reload, ...). */
+export const RECOVERY_STEPS = ['warn', 'reload', 'go_back', 'ask_user', 'abort'];
+
+/** press_key keys that move through lists and menus; pressing them repeatedly is normal. */
+const NAVIGATION_KEY_PATTERN = /^(Arrow(Up|Down|Left|Right)|Page(Up|Down)|Tab|Shift\+Tab)$/i;
+
+/**
+ * State key: element structure plus field values, scroll position and the active tab, so typing and
+ * scrolling that actually moves the page count as a change.
+ * @param {{ url: string; elements: Array<{ value?: string }>; activeTabIndex?: number; viewport?: { scrollX: number; scrollY: number } }} snapshot
+ */
+function stateKey(snapshot) {
+  const scroll = snapshot.viewport ? `${snapshot.viewport.scrollX},${snapshot.viewport.scrollY}` : '';
+  return snapshotFingerprint(snapshot) + '\n' + snapshot.elements.map((e) => e.value ?? '').join('|') + '\n' + scroll + '\n' + (snapshot.activeTabIndex ?? 0);
+}
+
+/**
+ * Actions that are repeated on purpose while the page moves: scrolling and key navigation.
+ * @param {string} name
+ * @param {Record<string, unknown>} args
+ */
+function isNavigationAction(name, args) {
+  return name === 'scroll' || (name === 'press_key' && NAVIGATION_KEY_PATTERN.test(String(args.key ?? '')));
+}
+
+export class LoopDetector {
+  /** @type {string[]} state keys since the last escalation */
+  #states = [];
+  /** @type {Array<{ key: string; state: string }>} actions since the last escalation, with the state they were taken in */
+  #actions = [];
+  /** @type {Set<string>} every state seen in the run */
+  #seen = new Set();
+  #strikes = 0;
+  /** state key of the latest snapshot */
+  #current = '';
+  /** @type {string[]} last few actions, kept across escalations for the diagnostic */
+  #recent = [];
+
+  /**
+   * Record the snapshot taken at the start of a step. A never-seen state counts as progress and
+   * resets the escalation.
+   * @param {{ url: string; elements: Array<{ value?: string }>; activeTabIndex?: number }} snapshot
+   */
+  recordState(snapshot) {
+    const key = stateKey(snapshot);
+    this.#current = key;
+    if (!this.#seen.has(key)) {
+      this.#seen.add(key);
+      if (this.#states.length) this.#strikes = 0;
+    }
+    this.#states.push(key);
+  }
+
+  /**
+   * @param {string} name
+   * @param {Record<string, unknown>} args
+   */
+  recordAction(name, args) {
+    const key = name + ' ' + JSON.stringify(args);
+    if (!isNavigationAction(name, args)) this.#actions.push({ key, state: this.#current });
+    this.#recent = [...this.#recent, key].slice(-5);
+  }
+
+  /**
+   * @returns {{ kind: 'repeated_action' | 'unchanged_page' | 'oscillation'; message: string } | null}
+   */
+  detect() {
+    // Identical calls only count as a loop when none of them changed the page.
+    const lastActions = this.#actions.slice(-REPEATED_ACTION_LIMIT);
+    const [first] = lastActions;
+    if (
+      lastActions.length === REPEATED_ACTION_LIMIT &&
+      lastActions.every((a) => a.key === first.key && a.state === first.state) &&
+      this.#current === first.state
+    ) {
+      return {
+        kind: 'repeated_action',
+        message: `The same action was repeated ${REPEATED_ACTION_LIMIT} times in a row without changing the page: ${first.key}.`,
+      };
+    }
+
+    const lastStates = this.#states.slice(-UNCHANGED_STATE_LIMIT);
+    if (lastStates.length === UNCHANGED_STATE_LIMIT && lastStates.every((s) => s === lastStates[0])) {
+      return {
+        kind: 'unchanged_page',
+        message: `The page has not changed for ${UNCHANGED_STATE_LIMIT} steps (same URL, elements and values).`,
+      };
+    }
+
+    const window = this.#states.slice(-OSCILLATION_WINDOW);
+    if (window.length === OSCILLATION_WINDOW && window[0] !== window[1] && window.every((s, i) => s === window[i % 2])) {
+      return {
+        kind: 'oscillation',
+        message: `The agent is going back and forth between the same two page states (${OSCILLATION_WINDOW} steps).`,
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Diagnostic for aborting the run: what was detected, where, and the last actions.
+   * @param {{ kind: string; message: string }} stuck
+   * @param {{ url: string }} snapshot
+   * @returns {string}
+   */
+  diagnose(stuck, snapshot) {
+    return `${stuck.kind} on ${snapshot.url}: ${stuck.message} Recovery (reload, go back, asking the user) did not help. Last actions: ${this.#recent.join('; ') || 'none'}`;
+  }
+
+  /**
+   * Count a detection and start a fresh observation window.
+   * @returns {string} recovery step from RECOVERY_STEPS
+   */
+  escalate() {
+    this.#strikes++;
+    this.#states = this.#states.slice(-1);
+    this.#actions = [];
+    return RECOVERY_STEPS[Math.min(this.#strikes, RECOVERY_STEPS.length) - 1];
+  }
+}
@@ -1,22 +1,69 @@
 /**
- * Collects interactive elements from the page and returns a snapshot with numeric ids.
- * No hardcoded site-specific selectors — only tagName, role, text from current DOM.
+ * Collects interactive elements from the page (including open shadow roots and iframes) and returns a
+ * snapshot with numeric ids. No hardcoded site-specific selectors — only tagName, role, text from current DOM.
  * Also collects headings (structure), associated labels for inputs, and main content excerpt.
+ * rankElements picks the elements the prompt lists; the rest are kept for paging.
  */
 
 const MAX_ELEMENTS = 200;
+const MAX_COLLECTED_ELEMENTS = 600;
+/** Frames get their own budget, so a crowded page does not push out a login or payment iframe. */
+const MAX_FRAME_ELEMENTS = 200;
+/** How much one task word found in an element's text counts, in pixels of distance from the viewport. */
+const RELEVANCE_PX = 1500;
+/** Ranking distance of elements without a box (collapsed menu items and the like). */
+const NO_BOX_DISTANCE_PX = 100000;
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'then', 'into', 'what', 'you', 'your', 'all', 'page', 'find', 'open', 'click', 'site', 'please',
+  'для', 'что', 'как', 'это', 'все', 'или', 'найди', 'найти', 'открой', 'нажми', 'сайт', 'страницу',
+]);
 const MAX_CONTENT_CHARS = 1200;
 const MAX_HEADINGS = 30;
+const MAX_FRAME_DEPTH = 3;
+const MAX_FIND_RESULTS = 10;
+const FIND_CONTEXT_CHARS = 60;
+/**
+ * Attribute marking the element of the last find_text match; its value is the match's offset in the
+ * element's textContent. The content excerpt is centered on the match.
+ */
+const FOCUS_ATTRIBUTE = 'data-agent-focus';
 
 const collectSnapshotScript = () => {
-  const MAX_ELEMENTS = 200;
+  const MAX_COLLECTED_ELEMENTS = 600;
   const MAX_CONTENT_CHARS = 1200;
   const MAX_HEADINGS = 30;
 
+  // Document, then open shadow roots depth-first with hosts in document order — the order in which
+  // Playwright's CSS engine returns matches, so an index into deepQueryAll works with locator().nth().
+  function collectRoots(root, roots) {
+    roots.push(root);
+    for (const host of root.querySelectorAll('*')) {
+      if (host.shadowRoot) collectRoots(host.shadowRoot, roots);
+    }
+    return roots;
+  }
+  let searchRoots = null;
+
+  function deepQueryAll(css) {
+    if (!searchRoots) searchRoots = collectRoots(document, []);
+    return searchRoots.flatMap((root) => [...root.querySelectorAll(css)]);
+  }
+
+  function closestAcrossShadow(el, css) {
+    let node = el;
+    while (node) {
+      const found = node.closest(css);
+      if (found) return found;
+      const root = node.getRootNode();
+      node = root instanceof ShadowRoot ? root.host : null;
+    }
+    return null;
+  }
+
   function getAssociatedLabelText(el) {
     const id = el.id;
     if (id) {
-      const labels = document.querySelectorAll('label[for]');
+      const labels = el.getRootNode().querySelectorAll('label[for]');
       for (const label of labels) {
         if (label.htmlFor === id) return (label.textContent || '').trim().slice(0, 80);
       }
@@ -40,13 +87,15 @@ const collectSnapshotScript = () => {
     if (name && (tag === 'input' || tag === 'textarea')) parts.push('[name="' + name + '"]');
     if (type && tag === 'input') parts.push('[type="' + type + '"]');
     const selector = parts.join('');
-    const all = document.querySelectorAll(selector);
-    if (all.length > 1 && text) {
+    const all = deepQueryAll(selector);
+    // Playwright's CSS engine pierces open shadow roots, XPath does not.
+    const inShadow = el.getRootNode() instanceof ShadowRoot;
+    if (all.length > 1 && text && !inShadow) {
       const escaped = text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, ' ');
       return { type: 'xpath', value: '//' + selector + '[contains(normalize-space(.), "' + escaped + '")]' };
     }
     if (all.length > 1) {
-      const idx = Array.from(all).indexOf(el);
+      const idx = all.indexOf(el);
       return { type: 'nth', selector, index: idx };
     }
     return { type: 'selector', value: selector };
@@ -73,6 +122,7 @@ const collectSnapshotScript = () => {
   const elements = [];
   const root = document.body;
   if (!root) return { url: '', title: '', elements: [], headings: [], contentExcerpt: '' };
+  const viewport = { width: window.innerWidth, height: window.innerHeight, scrollX: Math.round(window.scrollX), scrollY: Math.round(window.scrollY) };
 
   const headings = [];
   const headingTags = ['H1', 'H2', 'H3', 'H4', 'H5', 'H6'];
@@ -83,16 +133,37 @@ const collectSnapshotScript = () => {
   });
 
   let contentExcerpt = '';
-  const mainEl = root.querySelector('main, [role="main"]') || root;
+  let excerptFocused = false;
+  const focusEl = root.querySelector('[data-agent-focus]');
+  let mainEl = root.querySelector('main, [role="main"]') || root;
+  if (focusEl && !mainEl.contains(focusEl)) mainEl = root;
   const raw = (mainEl.textContent || '').replace(/\s+/g, ' ').trim();
-  if (raw) contentExcerpt = raw.slice(0, MAX_CONTENT_CHARS);
+  if (raw && focusEl) {
+    const before = document.createRange();
+    before.setStart(mainEl, 0);
+    before.setEndBefore(focusEl);
+    const inFocus = (focusEl.textContent || '').slice(0, Number(focusEl.getAttribute('data-agent-focus')) || 0);
+    const offset = (before.toString() + inFocus).replace(/\s+/g, ' ').trimStart().length;
+    const start = Math.max(0, Math.min(offset - MAX_CONTENT_CHARS / 2, raw.length - MAX_CONTENT_CHARS));
+    contentExcerpt = (start > 0 ? '…' : '') + raw.slice(start, start + MAX_CONTENT_CHARS);
+    excerptFocused = true;
+  } else if (raw) {
+    contentExcerpt = raw.slice(0, MAX_CONTENT_CHARS);
+  }
+
+  const walkChildren = (el) => {
+    if (el.shadowRoot) {
+      for (let i = 0; i < el.shadowRoot.children.length; i++) walk(el.shadowRoot.children[i]);
+    }
+    for (let i = 0; i < el.children.length; i++) walk(el.children[i]);
+  };
 
   const walk = (node) => {
-    if (elements.length >= MAX_ELEMENTS) return;
+    if (elements.length >= MAX_COLLECTED_ELEMENTS) return;
     if (node.nodeType !== Node.ELEMENT_NODE) return;
     const el = /** @type {Element} */ (node);
     if (!el.matches || !el.matches(interactiveSelector)) {
-      for (let i = 0; i < el.children.length; i++) walk(el.children[i]);
+      walkChildren(el);
       return;
     }
 
@@ -103,11 +174,11 @@ const collectSnapshotScript = () => {
     const hasLabel = (el.innerText || el.textContent || el.getAttribute('aria-label') || '').trim().length > 0;
     const skipSmall = rect.width < 2 || rect.height < 2;
     if (skipSmall && !(isButtonLike && hasLabel)) {
-      for (let i = 0; i < el.children.length; i++) walk(el.children[i]);
+      walkChildren(el);
       return;
     }
     if (style.visibility === 'hidden' || style.display === 'none') {
-      for (let i = 0; i < el.children.length; i++) walk(el.children[i]);
+      walkChildren(el);
       return;
     }
 
@@ -116,7 +187,7 @@ const collectSnapshotScript = () => {
     const titleAttr = (el.getAttribute('title') || '').trim().slice(0, 100);
     const key = `${el.tagName}-${rawInner.slice(0, 50)}-${el.getAttribute('href') || ''}-${rect.top}-${rect.left}`;
     if (seen.has(key)) {
-      for (let i = 0; i < el.children.length; i++) walk(el.children[i]);
+      walkChildren(el);
       return;
     }
     seen.add(key);
@@ -133,7 +204,7 @@ const collectSnapshotScript = () => {
 
     const displayText = text || ariaLabel || titleAttr || value || (placeholder ? `placeholder: ${placeholder}` : '') || (href ? `link: ${href}` : '') || (labelText ? `label: ${labelText}` : '');
 
-    const dialogEl = el.closest && el.closest('[role="dialog"], [role="alertdialog"]');
+    const dialogEl = closestAcrossShadow(el, '[role="dialog"], [role="alertdialog"]');
     const isInDialog = !!dialogEl;
     const disabled = el.hasAttribute('disabled') || el.getAttribute('aria-disabled') === 'true';
 
@@ -159,10 +230,11 @@ const collectSnapshotScript = () => {
       isInDialog: isInDialog || undefined,
       disabled: disabled || undefined,
       options: options || undefined,
+      rect: { x: Math.round(rect.left), y: Math.round(rect.top), width: Math.round(rect.width), height: Math.round(rect.height) },
     });
 
     if (!el.matches('a, button, input, textarea, select, [role="button"], [role="link"]')) {
-      for (let i = 0; i < el.children.length; i++) walk(el.children[i]);
+      walkChildren(el);
     }
   };
 
@@ -173,23 +245,272 @@ const collectSnapshotScript = () => {
     elements,
     headings,
     contentExcerpt,
+    excerptFocused: excerptFocused || undefined,
+    viewport,
+  };
+};
+
+const findTextScript = ({ query, regex, matchIndex, maxResults, contextChars, focusAttribute }) => {
+  const root = document.body;
+  if (!root) return { total: 0, matches: [] };
+
+  // Visible text nodes joined into one whitespace-normalized string, remembering where each node starts.
+  const nodes = [];
+  let corpus = '';
+  const visible = new Map();
+  const isVisible = (el) => {
+    if (!visible.has(el)) visible.set(el, el.checkVisibility ? el.checkVisibility({ visibilityProperty: true }) : !!el.offsetParent);
+    return visible.get(el);
+  };
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const parent = node.parentElement;
+    if (!parent || /^(SCRIPT|STYLE|NOSCRIPT|TEMPLATE)$/.test(parent.tagName) || !isVisible(parent)) continue;
+    const text = (node.textContent || '').replace(/\s+/g, ' ');
+    if (!text.trim()) continue;
+    if (corpus && !corpus.endsWith(' ') && !text.startsWith(' ')) corpus += ' ';
+    nodes.push({ start: corpus.length, el: parent, node });
+    corpus += text;
+  }
+
+  let pattern;
+  try {
+    pattern = new RegExp(regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  const found = [];
+  for (let m = pattern.exec(corpus); m; m = pattern.exec(corpus)) {
+    if (m[0] === '') {
+      pattern.lastIndex++;
+      continue;
+    }
+    found.push({ index: m.index, length: m[0].length });
+    if (found.length >= 1000) break;
+  }
+
+  const context = (f) => {
+    const from = Math.max(0, f.index - contextChars);
+    const to = Math.min(corpus.length, f.index + f.length + contextChars);
+    return (
+      (from > 0 ? '…' : '') +
+      corpus.slice(from, f.index).trimStart() +
+      '«' + corpus.slice(f.index, f.index + f.length) + '»' +
+      corpus.slice(f.index + f.length, to).trimEnd() +
+      (to < corpus.length ? '…' : '')
+    );
   };
+  const matches = found.map((f, i) => ({ n: i + 1, f })).filter(({ n }) => n <= maxResults || n === matchIndex).map(({ n, f }) => ({ n, context: context(f) }));
+
+  let scrolledTo = 0;
+  const chosen = found[matchIndex - 1];
+  if (chosen) {
+    let owner = nodes[0];
+    for (const n of nodes) {
+      if (n.start > chosen.index) break;
+      owner = n;
+    }
+    // Offsets in the normalized corpus → offsets in the node's raw text (whitespace runs count once).
+    const raw = owner.node.textContent || '';
+    const rawOffset = (n) => {
+      let i = 0;
+      for (let k = 0; k < n && i < raw.length; k++) {
+        if (/\s/.test(raw[i])) while (i < raw.length && /\s/.test(raw[i])) i++;
+        else i++;
+      }
+      return i;
+    };
+    const range = document.createRange();
+    range.setStart(owner.node, rawOffset(chosen.index - owner.start));
+    range.setEnd(owner.node, rawOffset(chosen.index + chosen.length - owner.start));
+    const lead = document.createRange();
+    lead.setStart(owner.el, 0);
+    lead.setEnd(range.startContainer, range.startOffset);
+    document.querySelectorAll('[' + focusAttribute + ']').forEach((el) => el.removeAttribute(focusAttribute));
+    owner.el.setAttribute(focusAttribute, String(lead.toString().length));
+    // The element first (scrolls nested containers too), then the window onto the match itself.
+    owner.el.scrollIntoView({ block: 'center', inline: 'nearest' });
+    const box = range.getBoundingClientRect();
+    if (box.height) window.scrollBy(0, box.top + box.height / 2 - window.innerHeight / 2);
+    scrolledTo = matchIndex;
+  }
+  return { total: found.length, matches, scrolledTo };
 };
 
 /**
  * @param {import('playwright').Page} page
- * @returns {Promise<{ url: string; title: string; elements: Array<{ id: number; role: string; tagName: string; text: string; placeholder?: string; href?: string; value?: string; type?: string; labelText?: string; title?: string; selector: unknown }>; headings: Array<{ level: number; text: string }>; contentExcerpt: string }>}
+ * @returns {Promise<{ url: string; title: string; elements: Array<{ id: number; role: string; tagName: string; text: string; placeholder?: string; href?: string; value?: string; type?: string; labelText?: string; title?: string; selector: unknown; rect: { x: number; y: number; width: number; height: number }; frame?: { path: number[]; label: string; name: string; url: string } }>; headings: Array<{ level: number; text: string }>; contentExcerpt: string; viewport: { width: number; height: number; scrollX: number; scrollY: number }; truncated?: boolean }>}
+ *   truncated: collection stopped at MAX_COLLECTED_ELEMENTS (page) or MAX_FRAME_ELEMENTS (frames)
+ *   frame (elements inside iframes): path = index among the iframe/frame elements of each parent document, outermost first;
+ *   name and url of the frame itself, to check that path still leads to it
  */
 export async function getPageSnapshot(page) {
   const snapshot = await page.evaluate(collectSnapshotScript);
+  const limit = snapshot.elements.length + MAX_FRAME_ELEMENTS;
+  if (snapshot.elements.length >= MAX_COLLECTED_ELEMENTS) snapshot.truncated = true;
+  await collectFrameElements(page.mainFrame(), [], snapshot.elements, limit);
+  if (snapshot.elements.length >= limit) snapshot.truncated = true;
   return snapshot;
 }
 
+/**
+ * Where an element's box is relative to the viewport; undefined when it has no box (zero size).
+ * @param {{ rect?: { x: number; y: number; width: number; height: number } }} el
+ * @param {{ width: number; height: number } | undefined} viewport
+ * @returns {{ position: 'in view' | 'above' | 'below' | 'left' | 'right'; distance: number } | undefined} distance: px outside the viewport
+ */
+function viewportPosition(el, viewport) {
+  const r = el.rect;
+  if (!r || !viewport || r.width < 2 || r.height < 2) return undefined;
+  const above = -(r.y + r.height);
+  const below = r.y - viewport.height;
+  const left = -(r.x + r.width);
+  const right = r.x - viewport.width;
+  const distance = Math.max(above, below, left, right, 0);
+  if (distance === 0) return { position: 'in view', distance };
+  if (above > 0 || below > 0) return { position: above > 0 ? 'above' : 'below', distance };
+  return { position: left > 0 ? 'left' : 'right', distance };
+}
+
+/**
+ * Lowercase task words worth matching against element text; long words are cut to a stem so other
+ * word forms match too ("корзину" → "корзи", "subscribe" → "subscri").
+ * @param {string} task
+ * @returns {string[]}
+ */
+function taskWords(task) {
+  const words = String(task || '').toLowerCase().split(/[^\p{L}\p{N}]+/u);
+  const stems = words.filter((w) => w.length >= 3 && !STOP_WORDS.has(w)).map((w) => (w.length > 5 ? w.slice(0, Math.max(5, w.length - 2)) : w));
+  return [...new Set(stems)];
+}
+
+/**
+ * Choose the elements the prompt lists. Elements get inViewport and viewportPosition. The MAX_ELEMENTS
+ * best are kept in elements — dialog elements first, then by distance from the viewport minus
+ * RELEVANCE_PX per task word found in their text — listed dialogs first, otherwise in page order.
+ * The rest go to moreElements, best first, for list_more_elements. Ids are renumbered in that order.
+ * @template {{ elements: Array<Record<string, any>>; viewport?: { width: number; height: number }; moreElements?: Array<Record<string, any>> }} T
+ * @param {T} snapshot - as returned by getPageSnapshot
+ * @param {string} [task] - the user task, for relevance
+ * @returns {T}
+ */
+export function rankElements(snapshot, task) {
+  const words = taskWords(task);
+  const ranked = snapshot.elements.map((el, order) => {
+    const where = viewportPosition(el, snapshot.viewport);
+    const haystack = [el.text, el.labelText, el.placeholder, el.title, el.href].filter(Boolean).join(' ').toLowerCase();
+    const relevance = words.filter((w) => haystack.includes(w)).length;
+    const distance = where ? where.distance : snapshot.viewport ? NO_BOX_DISTANCE_PX : 0;
+    const element = { ...el, inViewport: where ? where.position === 'in view' : undefined, viewportPosition: where?.position };
+    return { element, order, dialog: el.isInDialog ? 1 : 0, score: distance - relevance * RELEVANCE_PX };
+  });
+  ranked.sort((a, b) => b.dialog - a.dialog || a.score - b.score || a.order - b.order);
+  const listed = ranked.slice(0, MAX_ELEMENTS).sort((a, b) => b.dialog - a.dialog || a.order - b.order);
+  const more = ranked.slice(MAX_ELEMENTS);
+  let id = 0;
+  const renumber = ({ element }) => ({ ...element, id: ++id });
+  return { ...snapshot, elements: listed.map(renumber), moreElements: more.map(renumber) };
+}
+
+/**
+ * Element by id among the listed elements and those left for list_more_elements.
+ * @template {{ id: number }} E
+ * @param {{ elements: E[]; moreElements?: E[] }} snapshot
+ * @param {number} id
+ * @returns {E | undefined}
+ */
+export function findSnapshotElement(snapshot, id) {
+  return snapshot.elements?.find((e) => e.id === id) ?? snapshot.moreElements?.find((e) => e.id === id);
+}
+
+/**
+ * Append interactive elements of the visible child frames of parent (recursively, up to MAX_FRAME_DEPTH)
+ * to elements, with ids continuing the numbering and boxes moved into page viewport coordinates.
+ * Frames that are detached, navigating or not scriptable are skipped.
+ * @param {import('playwright').Frame} parent
+ * @param {number[]} path - path of parent (see frame in the element type)
+ * @param {Array<Record<string, any>>} elements
+ * @param {number} limit - stop when elements has this many
+ */
+async function collectFrameElements(parent, path, elements, limit) {
+  if (path.length >= MAX_FRAME_DEPTH) return;
+  const frameElements = await parent.$$('iframe, frame').catch(() => []);
+  for (let index = 0; index < frameElements.length && elements.length < limit; index++) {
+    const handle = frameElements[index];
+    try {
+      const box = await handle.boundingBox();
+      const frame = await handle.contentFrame();
+      if (!box || box.width < 2 || box.height < 2 || !frame) continue;
+      const sub = await frame.evaluate(collectSnapshotScript);
+      const framePath = [...path, index];
+      // boundingBox is relative to the main frame's viewport at any nesting depth
+      const frameOffset = { x: Math.round(box.x), y: Math.round(box.y) };
+      const label = frameLabel(frame);
+      for (const el of sub.elements) {
+        if (elements.length >= limit) break;
+        const rect = el.rect && { ...el.rect, x: el.rect.x + frameOffset.x, y: el.rect.y + frameOffset.y };
+        elements.push({ ...el, id: elements.length + 1, rect, frame: { path: framePath, label, name: frame.name(), url: frame.url() } });
+      }
+      await collectFrameElements(frame, framePath, elements, limit);
+    } catch (_) {
+      // frame went away or is still loading; it will show up in a later snapshot
+    } finally {
+      await handle.dispose().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Short frame name for the prompt: name attribute, else host of its URL.
+ * @param {import('playwright').Frame} frame
+ * @returns {string}
+ */
+function frameLabel(frame) {
+  if (frame.name()) return frame.name().slice(0, 40);
+  try {
+    return new URL(frame.url()).host || frame.url().slice(0, 40);
+  } catch (_) {
+    return frame.url().slice(0, 40) || 'frame';
+  }
+}
+
+/**
+ * Search the visible text of the page (case-insensitive; query is a regex when regex is set), scroll
+ * match number matchIndex into view and mark it so the next snapshot's excerpt is centered on it.
+ * @param {import('playwright').Page} page
+ * @param {string} query
+ * @param {{ regex?: boolean; matchIndex?: number }} [options]
+ * @returns {Promise<{ total: number; matches: Array<{ n: number; context: string }>; scrolledTo: number; error?: string }>}
+ *   matches: the first MAX_FIND_RESULTS (plus the chosen one) with surrounding text, the match in «»; scrolledTo: 0 when nothing was scrolled to
+ */
+export async function findTextInPage(page, query, options = {}) {
+  return page.evaluate(findTextScript, {
+    query,
+    regex: !!options.regex,
+    matchIndex: options.matchIndex ?? 1,
+    maxResults: MAX_FIND_RESULTS,
+    contextChars: FIND_CONTEXT_CHARS,
+    focusAttribute: FOCUS_ATTRIBUTE,
+  });
+}
+
+/**
+ * Forget the find_text match so the excerpt starts at the top of the content again (e.g. after scrolling).
+ * @param {import('playwright').Page} page
+ */
+export async function clearTextFocus(page) {
+  await page.evaluate((attr) => document.querySelectorAll('[' + attr + ']').forEach((el) => el.removeAttribute(attr)), FOCUS_ATTRIBUTE);
+}
+
 /**
  * Format snapshot for LLM prompt (compact text).
- * @param {{ url: string; title: string; elements: Array<{ id: number; role: string; tagName: string; text: string; placeholder?: string; href?: string; value?: string; type?: string; labelText?: string }>; headings?: Array<{ level: number; text: string }>; contentExcerpt?: string; tabs?: Array<{ index: number; url: string; title: string }>; activeTabIndex?: number }} snapshot
+ * @param {{ url: string; title: string; elements: Array<{ id: number; role: string; tagName: string; text: string; placeholder?: string; href?: string; value?: string; type?: string; labelText?: string; frame?: { path: number[]; label: string } }>; headings?: Array<{ level: number; text: string }>; contentExcerpt?: string; tabs?: Array<{ index: number; url: string; title: string }>; activeTabIndex?: number }} snapshot
+ * @param {{ changes?: string; elements?: boolean }} [options]
+ *   changes: "what changed" section (see formatSnapshotDiff) placed before the elements;
+ *   elements: false to leave out the element list (the model still has it from an earlier step)
  */
-export function formatSnapshotForPrompt(snapshot) {
+export function formatSnapshotForPrompt(snapshot, options = {}) {
   const lines = [];
 
   if (snapshot.tabs?.length) {
@@ -215,30 +536,67 @@ export function formatSnapshotForPrompt(snapshot) {
   }
 
   if (snapshot.contentExcerpt) {
-    lines.push('Page content (excerpt):');
+    lines.push(snapshot.excerptFocused ? 'Page content (excerpt around the last find_text match):' : 'Page content (excerpt):');
     lines.push(snapshot.contentExcerpt);
     lines.push('');
   }
 
-  lines.push('Interactive elements (use id to click or type):');
-  for (const el of snapshot.elements) {
-    let desc = `  ${el.id}. [${el.tagName}` + (el.type ? ` type=${el.type}` : '') + ']';
-    if (el.role === 'button') desc += ' (button)';
-    if (el.isInDialog) desc += ' (in modal/dialog)';
-    if (el.disabled) desc += ' (disabled)';
-    if (el.labelText) desc += ` label="${el.labelText}"`;
-    if (el.text) desc += ` "${el.text.slice(0, 100)}"`;
-    if (el.placeholder) desc += ` placeholder="${el.placeholder}"`;
-    if (el.value !== undefined && el.value !== '') desc += ` value="${String(el.value).slice(0, 50)}"`;
-    if (el.href) desc += ` href="${el.href.slice(0, 60)}"`;
-    if (el.options?.length) {
-      const opts = el.options.map((o) => o.label || o.value).filter(Boolean).slice(0, 15);
-      desc += ` options: ${opts.join(', ')}${el.options.length > 15 ? '…' : ''}`;
-    }
-    lines.push(desc);
-  }
-  if (snapshot.elements.length >= MAX_ELEMENTS) {
-    lines.push(`  ... (page truncated to ${MAX_ELEMENTS} elements)`);
+  if (options.changes) {
+    lines.push(options.changes);
+    lines.push('');
+  }
+
+  if (options.elements === false) {
+    lines.push('Interactive elements: not repeated. Ids are unchanged; apart from the changes above, elements are as in the last full element list.');
+  } else {
+    lines.push('Interactive elements (use id to click or type):');
+    for (const el of snapshot.elements) lines.push('  ' + formatElementLine(el));
+  }
+  if (snapshot.moreElements?.length) {
+    lines.push(`  ... ${snapshot.moreElements.length} more elements not listed (off-screen or unrelated to the task); use list_more_elements to see them`);
+  }
+  if (snapshot.truncated) {
+    lines.push(`  ... (page has more than ${MAX_COLLECTED_ELEMENTS} interactive elements; scroll or use find_text to reach the rest)`);
   }
   return lines.join('\n');
 }
+
+/**
+ * One element as listed in the prompt, e.g. `12. [input type=email] label="Email" value="a@b.c"`.
+ * @param {{ id: number; role: string; tagName: string; text: string; placeholder?: string; href?: string; value?: string; type?: string; labelText?: string; isInDialog?: boolean; disabled?: boolean; frame?: { label: string }; viewportPosition?: string; options?: Array<{ value: string; label: string }> }} el
+ * @returns {string}
+ */
+export function formatElementLine(el) {
+  let desc = `${el.id}. [${el.tagName}` + (el.type ? ` type=${el.type}` : '') + ']';
+  if (el.role === 'button') desc += ' (button)';
+  if (el.isInDialog) desc += ' (in modal/dialog)';
+  if (el.frame) desc += ` (in frame "${el.frame.label}")`;
+  if (el.viewportPosition === 'above' || el.viewportPosition === 'below') desc += ` (${el.viewportPosition} viewport)`;
+  else if (el.viewportPosition === 'left' || el.viewportPosition === 'right') desc += ` (off-screen ${el.viewportPosition})`;
+  if (el.disabled) desc += ' (disabled)';
+  if (el.labelText) desc += ` label="${el.labelText}"`;
+  if (el.text) desc += ` "${el.text.slice(0, 100)}"`;
+  if (el.placeholder) desc += ` placeholder="${el.placeholder}"`;
+  if (el.value !== undefined && el.value !== '') desc += ` value="${String(el.value).slice(0, 50)}"`;
+  if (el.href) desc += ` href="${el.href.slice(0, 60)}"`;
+  if (el.options?.length) {
+    const opts = el.options.map((o) => o.label || o.value).filter(Boolean).slice(0, 15);
+    desc += ` options: ${opts.join(', ')}${el.options.length > 15 ? '…' : ''}`;
+  }
+  return desc;
+}
+
+/**
+ * Structural fingerprint of a snapshot: URL plus the element list (ids depend on it). Typed values
+ * are ignored so filling an input does not count as a page change.
+ * @param {{ url: string; elements: Array<{ tagName: string; role?: string; type?: string; text?: string; href?: string; placeholder?: string; labelText?: string; isInDialog?: boolean; frame?: { label: string } }> }} snapshot
+ * @returns {string}
+ */
+export function snapshotFingerprint(snapshot) {
+  const parts = [snapshot.url];
+  for (const el of snapshot.elements) {
+    const isField = el.tagName === 'input' || el.tagName === 'textarea' || el.tagName === 'select';
+    parts.push([el.tagName, el.role, el.type, isField ? '' : el.text, el.href, el.placeholder, el.labelText, el.isInDialog ? 'd' : '', el.frame?.label ?? ''].join('|'));
+  }
+  return parts.join('\n');
+}
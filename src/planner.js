@@ -0,0 +1,169 @@
+/**
+ * Planner for planner/executor mode: breaks the user task into a checklist before the agent loop,
+ * tracks each step as pending/done/failed and re-plans when a step fails repeatedly.
+ */
+
+import { DEFAULT_MODEL, modelParams } from './config.js';
+
+const MAX_PLAN_STEPS = 12;
+const MAX_STEP_FAILURES = 3;
+export const MAX_REPLANS = 3;
+
+/** Tool available to the executor in plan mode only. */
+export const PLAN_TOOL_DEFINITION = {
+  type: 'function',
+  function: {
+    name: 'update_plan',
+    description: 'Mark a plan step as done or failed. Call with "done" as soon as a step is completed; call with "failed" when a step cannot be completed this way (the plan will be revised).',
+    parameters: {
+      type: 'object',
+      properties: {
+        step: { type: 'integer', description: 'Step number from the plan (1-based)' },
+        status: { type: 'string', enum: ['done', 'failed'], description: 'New status of the step' },
+        note: { type: 'string', description: 'Optional. Short note: what was achieved or why it failed' },
+      },
+      required: ['step', 'status'],
+    },
+  },
+};
+
+/** Appended to the sub-agent system prompt in plan mode. */
+export const PLAN_RULES = `
+Plan:
+- Each page state includes the task plan as a checklist ([x] done, [ ] pending, [!] failed); "← current" marks the step to work on.
+- Work on the current step. When it is completed call update_plan(step, "done"); if it cannot be completed call update_plan(step, "failed", note) and a revised plan will follow.
+- Call task_done only when all steps needed for the task are done.`;
+
+const PLANNER_PROMPT = `You plan browser automation tasks. Break the user task into 2-${MAX_PLAN_STEPS} short, concrete, verifiable steps (e.g. "Open example.com", "Log in", "Find the price of X"). Do not invent site details you cannot know.
+Reply with only a JSON object: {"steps": ["step 1", "step 2", ...]}`;
+
+/**
+ * Extract step titles from the planner reply: JSON {"steps": [...]} or a numbered/bulleted list.
+ * @param {string} content
+ * @returns {string[]}
+ */
+function parsePlanSteps(content) {
+  const text = (content || '').replace(/^```(?:json)?\s*|\s*```$/g, '').trim();
+  try {
+    const parsed = JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
+    if (Array.isArray(parsed?.steps)) {
+      return parsed.steps.map((s) => String(s).trim()).filter(Boolean).slice(0, MAX_PLAN_STEPS);
+    }
+  } catch (_) {}
+  return text
+    .split('\n')
+    .map((line) => line.match(/^\s*(?:\d+[.)]|[-*])\s+(.+)/)?.[1]?.trim())
+    .filter(Boolean)
+    .slice(0, MAX_PLAN_STEPS);
+}
+
+/**
+ * Ask the planner model for a checklist. With context, asks for a revised plan of the remaining work.
+ * @param {import('openai').OpenAI} openai
+ * @param {string} userTask
+ * @param {import('./config.js').RoleSettings} [settings]
+ * @param {{ previousPlan: string; reason: string; url?: string }} [revision]
+ * @param {AbortSignal} [signal] - cancels the request and its retries
+ * @returns {Promise<string[]>}
+ */
+export async function createPlan(openai, userTask, settings = { model: DEFAULT_MODEL }, revision, signal) {
+  let userContent = 'Task: ' + userTask;
+  if (revision) {
+    userContent +=
+      '\n\nCurrent plan:\n' + revision.previousPlan +
+      '\n\nThe plan must be revised: ' + revision.reason +
+      (revision.url ? '\nCurrent page: ' + revision.url : '') +
+      '\nReturn only the remaining steps (not the ones already done), using a different approach for the failed step.';
+  }
+  const response = await openai.chat.completions.create({
+    ...modelParams(settings),
+    messages: [
+      { role: 'system', content: PLANNER_PROMPT },
+      { role: 'user', content: userContent },
+    ],
+  }, { signal });
+  const steps = parsePlanSteps(response.choices?.[0]?.message?.content || '');
+  return steps.length ? steps : [userTask];
+}
+
+/**
+ * Checklist state of one run.
+ */
+export class TaskPlan {
+  /** @type {Array<{ title: string; status: 'pending' | 'done' | 'failed'; failures: number; note?: string }>} */
+  steps = [];
+  replans = 0;
+
+  /**
+   * @param {string[]} titles
+   */
+  constructor(titles) {
+    this.steps = titles.map((title) => ({ title, status: 'pending', failures: 0 }));
+  }
+
+  /** First pending step, or undefined when none is left. */
+  get current() {
+    return this.steps.find((s) => s.status === 'pending');
+  }
+
+  /**
+   * Apply update_plan from the model.
+   * @param {Record<string, unknown>} args - { step, status, note? }
+   * @returns {{ success: boolean; message: string; replan?: string }} replan: reason when the plan must be revised
+   */
+  update(args) {
+    const n = args.step;
+    const step = typeof n === 'number' ? this.steps[n - 1] : undefined;
+    if (!step) return { success: false, message: 'step must be a step number from the plan (1–' + this.steps.length + ')' };
+    if (args.status !== 'done' && args.status !== 'failed') return { success: false, message: 'status must be "done" or "failed"' };
+    step.status = args.status;
+    step.note = typeof args.note === 'string' ? args.note.slice(0, 200) : undefined;
+    console.log('[Plan] Step %d %s: %s%s', n, args.status, step.title, step.note ? ` (${step.note})` : '');
+    if (step.status === 'failed') {
+      return { success: true, message: `Step ${n} marked failed.`, replan: `step ${n} "${step.title}" failed` + (step.note ? ': ' + step.note : '') };
+    }
+    const next = this.current;
+    return { success: true, message: `Step ${n} marked done.` + (next ? ` Next: ${this.steps.indexOf(next) + 1}. ${next.title}` : ' All steps are done.') };
+  }
+
+  /**
+   * Count a failed tool call against the current step. After MAX_STEP_FAILURES in a row the step is
+   * marked failed. A successful call resets the counter.
+   * @param {boolean} success
+   * @returns {string | undefined} reason to re-plan, if the step has now failed
+   */
+  recordToolResult(success) {
+    const step = this.current;
+    if (!step) return undefined;
+    if (success) {
+      step.failures = 0;
+      return undefined;
+    }
+    step.failures++;
+    if (step.failures < MAX_STEP_FAILURES) return undefined;
+    step.status = 'failed';
+    const n = this.steps.indexOf(step) + 1;
+    console.log('[Plan] Step %d failed after %d errors: %s', n, step.failures, step.title);
+    return `step ${n} "${step.title}" failed ${step.failures} times in a row`;
+  }
+
+  /**
+   * Replace pending/failed steps with a revised list; done steps are kept.
+   * @param {string[]} titles
+   */
+  revise(titles) {
+    this.steps = [...this.steps.filter((s) => s.status === 'done'), ...titles.map((title) => ({ title, status: 'pending', failures: 0 }))];
+    this.replans++;
+  }
+
+  /**
+   * Checklist text for the prompt and console.
+   * @returns {string}
+   */
+  format() {
+    const current = this.current;
+    const marks = { done: '[x]', pending: '[ ]', failed: '[!]' };
+    const lines = this.steps.map((s, i) => `  ${marks[s.status]} ${i + 1}. ${s.title}` + (s === current ? '  ← current' : '') + (s.note ? ` (${s.note})` : ''));
+    return 'Task plan:\n' + lines.join('\n');
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * Replay a recorded run: model responses come from the transcript (no API calls), tools run against
+ * the real browser. The replay is recorded too and its tool results are compared with the original.
+ * Usage: npm run replay -- transcripts/run-....jsonl
+ */
+
+import 'dotenv/config';
+import { BrowserController } from './browser.js';
+import { runAgent } from './agent.js';
+import { loadConfig } from './config.js';
+import { createToolRegistry } from './tools.js';
+import { loadPlugins } from './toolRegistry.js';
+import { TranscriptRecorder, compareToolResults, createReplayClient, loadTranscript } from './transcript.js';
+
+async function main() {
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: npm run replay -- <transcript.jsonl>');
+    process.exit(1);
+  }
+
+  const events = loadTranscript(file);
+  const start = events.find((e) => e.type === 'start');
+  if (!start) {
+    console.error('Transcript has no start event:', file);
+    process.exit(1);
+  }
+
+  // User answers and security decisions are replayed in the recorded order.
+  const answers = events.filter((e) => e.type === 'user_input').map((e) => e.answer);
+  const decisions = events.filter((e) => e.type === 'security').map((e) => e.allowed);
+  const getUserInput = async () => answers.shift() ?? '';
+  const getUserConfirmation = async () => decisions.shift() ?? false;
+
+  const config = loadConfig();
+  const transcript = TranscriptRecorder.inDirectory(config.transcriptDir ?? './transcripts');
+  console.log('Replaying', file, '→ recording to', transcript.path);
+
+  const tools = createToolRegistry();
+  if (config.pluginDir) await loadPlugins(tools, config.pluginDir);
+
+  const browser = new BrowserController();
+  await browser.launch({ downloadDir: config.downloadDir });
+  try {
+    const result = await runAgent(
+      { openai: createReplayClient(events), browser, getUserConfirmation, getUserInput, transcript, tools },
+      start.task,
+      start.options
+    );
+    console.log('\n--- Replay result ---\n' + JSON.stringify(result));
+
+    const diffs = compareToolResults(events, loadTranscript(transcript.path));
+    if (diffs.length) {
+      console.log('\n--- Tool results differ from the recording ---');
+      for (const d of diffs) console.log('  ' + d);
+      process.exitCode = 1;
+    } else {
+      console.log('\nTool results match the recording.');
+    }
+  } finally {
+    await browser.close();
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,115 @@
+/**
+ * Retries for model requests: classifies API errors, retries transient ones with exponential backoff
+ * and jitter (honoring Retry-After) and can switch to a fallback model.
+ */
+
+const DEFAULT_MAX_RETRIES = 4;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 30000;
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'UND_ERR_SOCKET'];
+
+/**
+ * @typedef {{ maxRetries?: number; baseDelayMs?: number; maxDelayMs?: number; fallbackModel?: string }} RetryOptions
+ */
+
+/**
+ * Classify an error thrown by chat.completions.create.
+ * @param {any} err
+ * @returns {{ retryable: boolean; fallback: boolean; reason: string }} fallback: worth trying another model
+ */
+export function classifyApiError(err) {
+  const status = err?.status;
+  const code = err?.code || err?.error?.code || err?.cause?.code;
+  const reason = (status ? `HTTP ${status}` : err?.name || 'Error') + (code ? ` (${code})` : '') + ': ' + String(err?.message || err);
+
+  if (err?.name === 'APIUserAbortError' || err?.name === 'AbortError') return { retryable: false, fallback: false, reason };
+  if (status === 429 && code === 'insufficient_quota') return { retryable: false, fallback: true, reason };
+  if (status === 408 || status === 409 || status === 429 || (status >= 500 && status < 600)) return { retryable: true, fallback: true, reason };
+  if (status === 404 || code === 'model_not_found') return { retryable: false, fallback: true, reason };
+  if (status) return { retryable: false, fallback: false, reason };
+  if (err?.name === 'APIConnectionError' || err?.name === 'APIConnectionTimeoutError' || NETWORK_ERROR_CODES.includes(code)) {
+    return { retryable: true, fallback: true, reason };
+  }
+  return { retryable: false, fallback: false, reason };
+}
+
+/**
+ * Server-requested delay from retry-after-ms / retry-after (seconds or HTTP date) headers.
+ * @param {any} err
+ * @returns {number | undefined} ms
+ */
+function retryAfterMs(err) {
+  const headers = err?.headers;
+  const get = (name) => (typeof headers?.get === 'function' ? headers.get(name) : headers?.[name]);
+  const ms = Number(get('retry-after-ms'));
+  if (Number.isFinite(ms) && ms >= 0) return ms;
+  const value = get('retry-after');
+  if (value == null) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : undefined;
+}
+
+/**
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason ?? new Error('Aborted'));
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason ?? new Error('Aborted'));
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Wrap an OpenAI client: retryable errors are retried up to maxRetries times with full-jitter
+ * exponential backoff (or the Retry-After delay). When retries run out, or the model is unavailable,
+ * the fallback model (if any) is used for this and all later requests. Other errors are rethrown.
+ * @param {import('openai').OpenAI} openai
+ * @param {RetryOptions} [options]
+ * @returns {import('openai').OpenAI}
+ */
+export function retryingClient(openai, options = {}) {
+  const maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+  const baseDelayMs = options.baseDelayMs ?? DEFAULT_BASE_DELAY_MS;
+  const maxDelayMs = options.maxDelayMs ?? DEFAULT_MAX_DELAY_MS;
+  const { fallbackModel } = options;
+  let useFallback = false;
+
+  const create = async (params, requestOptions) => {
+    let request = useFallback && fallbackModel ? { ...params, model: fallbackModel } : params;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await openai.chat.completions.create(request, requestOptions);
+      } catch (err) {
+        if (requestOptions?.signal?.aborted) throw err;
+        const { retryable, fallback, reason } = classifyApiError(err);
+        if (retryable && attempt < maxRetries) {
+          const backoff = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+          const delay = Math.min(maxDelayMs, retryAfterMs(err) ?? backoff);
+          console.log('[Retry] %s — retry %d/%d in %ds', reason, attempt + 1, maxRetries, (delay / 1000).toFixed(1));
+          await sleep(delay, requestOptions?.signal);
+          continue;
+        }
+        if (fallback && fallbackModel && request.model !== fallbackModel) {
+          console.log('[Retry] %s — switching to fallback model %s', reason, fallbackModel);
+          useFallback = true;
+          request = { ...params, model: fallbackModel };
+          attempt = -1;
+          continue;
+        }
+        throw err;
+      }
+    }
+  };
+  return /** @type {import('openai').OpenAI} */ ({ chat: { completions: { create } } });
+}
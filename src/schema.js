@@ -0,0 +1,153 @@
+/**
+ * Minimal JSON Schema validator for tool arguments and structured results. Supports the subset used
+ * in tool definitions: type (incl. type arrays), properties, required, additionalProperties, items,
+ * enum, const, minimum/maximum, minLength/maxLength, minItems/maxItems, pattern.
+ * Tool arguments are coerced first where the intent is unambiguous ("12" → 12, "true" → true).
+ */
+
+/**
+ * @param {unknown} value
+ * @returns {string} JSON Schema type name of the value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * @param {string} expected
+ * @param {string} actual
+ */
+function typeMatches(expected, actual) {
+  return expected === actual || (expected === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate value against schema.
+ * @param {Record<string, any>} schema
+ * @param {unknown} value
+ * @param {string} [path] - prefix for error messages (e.g. 'data')
+ * @returns {string[]} errors like 'data.price: expected number, got string ("12 USD")' (empty when valid)
+ */
+export function validateSchema(schema, value, path = 'value') {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') return errors;
+
+  const actual = typeOf(value);
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => typeMatches(t, actual))) {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${actual}${actual === 'object' || actual === 'array' ? '' : ` (${JSON.stringify(value)})`}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((v) => v === value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if ('const' in schema && schema.const !== value) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}, got ${value}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}, got ${value}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${path}: must have at least ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${path}: must have at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: must match pattern ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${path}: must have at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+  }
+
+  if (actual === 'object') {
+    const obj = /** @type {Record<string, unknown>} */ (value);
+    const properties = schema.properties ?? {};
+    for (const key of schema.required ?? []) {
+      if (obj[key] === undefined) errors.push(`${path}.${key}: required field is missing`);
+    }
+    for (const [key, v] of Object.entries(obj)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], v, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: unknown field (allowed: ${Object.keys(properties).join(', ') || 'none'})`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, v, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Convert value towards the schema type where that cannot change its meaning: decimal strings to
+ * numbers/integers (integers only within the safe range), "true"/"false" to booleans, numbers and booleans to strings, JSON text to an
+ * object or array, a differently-cased enum value to the enum's spelling. Recurses into properties and items; anything else is returned unchanged.
+ * @param {Record<string, any>} schema
+ * @param {unknown} value
+ * @returns {unknown}
+ */
+export function coerceValue(schema, value) {
+  if (!schema || typeof schema !== 'object') return value;
+  const types = schema.type ? (Array.isArray(schema.type) ? schema.type : [schema.type]) : [];
+  const actual = typeOf(value);
+
+  if (types.length && !types.some((t) => typeMatches(t, actual))) {
+    if (typeof value === 'string') {
+      const text = value.trim();
+      if (types.includes('integer') && /^-?\d+$/.test(text) && Number.isSafeInteger(Number(text))) return Number(text);
+      if (types.includes('number') && /^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+      if (types.includes('boolean') && /^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+      if ((types.includes('object') || types.includes('array')) && /^[[{]/.test(text)) {
+        try {
+          const parsed = JSON.parse(text);
+          if (types.some((t) => typeMatches(t, typeOf(parsed)))) return coerceValue(schema, parsed);
+        } catch (_) {
+          // not JSON; reported by validation
+        }
+      }
+    } else if ((typeof value === 'number' || typeof value === 'boolean') && types.includes('string')) {
+      return String(value);
+    }
+    return value;
+  }
+
+  if (typeof value === 'string' && Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    const match = schema.enum.filter((v) => typeof v === 'string' && v.toLowerCase() === value.trim().toLowerCase());
+    if (match.length === 1) return match[0];
+  }
+  if (Array.isArray(value) && schema.items) return value.map((item) => coerceValue(schema.items, item));
+  if (actual === 'object') {
+    const properties = schema.properties ?? {};
+    const extra = schema.additionalProperties && typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null;
+    const out = {};
+    for (const [key, v] of Object.entries(/** @type {Record<string, unknown>} */ (value))) {
+      out[key] = properties[key] ? coerceValue(properties[key], v) : extra ? coerceValue(extra, v) : v;
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Coerce and validate tool-call arguments against the tool's parameters schema. Fields the schema
+ * does not declare are rejected unless it sets additionalProperties itself.
+ * @param {Record<string, any>} parameters - the tool's JSON Schema (type: 'object')
+ * @param {unknown} args - parsed arguments
+ * @returns {{ value: Record<string, unknown>; errors: string[] }} value: coerced arguments
+ */
+export function checkArguments(parameters, args) {
+  const schema = { additionalProperties: false, ...parameters };
+  const value = coerceValue(schema, args);
+  const errors = validateSchema(schema, value, 'arguments');
+  return { value: /** @type {Record<string, unknown>} */ (value), errors };
+}
@@ -1,7 +1,10 @@
 /**
- * Security layer: detects destructive actions (pay, delete, etc.) and requires user confirmation.
+ * Security layer: classifies tool calls that require user confirmation — destructive clicks and key presses
+ * (pay, delete, etc.), file uploads and tools registered with security 'confirm'.
  */
 
+import { findSnapshotElement } from './pageSnapshot.js';
+
 /** @type {RegExp[]} Keywords that indicate a destructive or sensitive action (button/link text). */
 const DESTRUCTIVE_PATTERNS = [
   /\b(pay|оплат|купи|buy)\b/i,
@@ -15,21 +18,17 @@ const DESTRUCTIVE_PATTERNS = [
 ];
 
 /**
- * Check if a tool call is destructive and should require user confirmation.
- * @param {string} toolName
- * @param {Record<string, unknown>} args
- * @param {{ elements: Array<{ id: number; text?: string; value?: string; ariaLabel?: string }> }} snapshot
+ * Security classification of a click-like call: destructive when the target's text matches
+ * DESTRUCTIVE_PATTERNS.
+ * @param {Record<string, unknown>} args - element_id
+ * @param {{ elements: Array<{ id: number; text?: string; value?: string; title?: string; labelText?: string }> }} snapshot
  * @returns {{ destructive: boolean; description?: string }}
  */
-export function checkDestructiveAction(toolName, args, snapshot) {
-  if (toolName !== 'click_element') {
-    return { destructive: false };
-  }
-
+export function destructiveClick(args, snapshot) {
   const elementId = args.element_id;
   if (typeof elementId !== 'number') return { destructive: false };
 
-  const el = snapshot.elements?.find((e) => e.id === elementId);
+  const el = findSnapshotElement(snapshot, elementId);
   if (!el) return { destructive: false };
 
   const text = [
@@ -53,3 +52,45 @@ export function checkDestructiveAction(toolName, args, snapshot) {
 
   return { destructive: false };
 }
+
+/**
+ * Security classification of press_key: Enter or Space on an element activates it like a click.
+ * @param {Record<string, unknown>} args - key, element_id
+ * @param {{ elements: Array<{ id: number; text?: string; value?: string; title?: string; labelText?: string }> }} snapshot
+ * @returns {{ destructive: boolean; description?: string }}
+ */
+export function destructiveKeyPress(args, snapshot) {
+  if (!/(^|\+)\s*(enter|return|space|spacebar)\s*$/i.test(String(args.key ?? ''))) return { destructive: false };
+  return destructiveClick(args, snapshot);
+}
+
+/**
+ * Security classification of upload_file: uploads always send a local file to the site, so they are
+ * confirmed regardless of the button text.
+ * @param {Record<string, unknown>} args - element_id, file_name
+ * @param {{ elements: Array<{ id: number; text?: string; labelText?: string; ariaLabel?: string }> }} snapshot
+ * @returns {{ destructive: boolean; description?: string }}
+ */
+export function uploadConfirmation(args, snapshot) {
+  const el = findSnapshotElement(snapshot, /** @type {number} */ (args.element_id));
+  const target = (el?.labelText || el?.text || el?.ariaLabel || '').toString().slice(0, 60).trim();
+  const description = `Upload file "${String(args.file_name ?? '').slice(0, 80)}"` + (target ? ` via "${target}"` : '');
+  return { destructive: true, description };
+}
+
+/**
+ * Check if a tool call is destructive and should require user confirmation, using the tool's
+ * security classification from the registry.
+ * @param {{ name: string; security?: 'none' | 'confirm' | ((args: Record<string, unknown>, snapshot: any) => { destructive: boolean; description?: string }) }} tool
+ * @param {Record<string, unknown>} args
+ * @param {{ elements: Array<{ id: number }> }} snapshot
+ * @returns {{ destructive: boolean; description?: string }}
+ */
+export function classifyToolCall(tool, args, snapshot) {
+  if (typeof tool.security === 'function') return tool.security(args, snapshot);
+  if (tool.security === 'confirm') {
+    const params = Object.entries(args).map(([k, v]) => `${k}=${JSON.stringify(v)}`);
+    return { destructive: true, description: `${tool.name}(${params.join(', ')})`.slice(0, 160) };
+  }
+  return { destructive: false };
+}
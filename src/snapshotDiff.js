@@ -0,0 +1,199 @@
+/**
+ * Snapshot diffing between agent steps. Elements still on the page keep the id they had in the previous
+ * snapshot (new ones get fresh ids), so after a small change the model gets only a "what changed"
+ * section — elements added, removed or changed, URL/title changes, a dialog opening — instead of the
+ * full element list again. Elements not listed in the prompt (moreElements) keep their ids as well; one
+ * that becomes listed is reported as added.
+ */
+
+import { formatElementLine } from './pageSnapshot.js';
+
+/** A change is substantial (full list, fresh ids) when at least this many elements appear or disappear... */
+const MIN_SUBSTANTIAL_CHANGES = 10;
+/** ...and they are at least this share of the page's elements. */
+const SUBSTANTIAL_CHANGE_RATIO = 0.3;
+const MAX_LISTED_REMOVED = 20;
+/** An element whose text changed is still the same one if it moved at most this far on the page. */
+const MAX_TEXT_CHANGE_MOVE_PX = 40;
+
+/**
+ * @typedef {{ id: number; tagName: string; role?: string; type?: string; text?: string; href?: string; placeholder?: string; labelText?: string; value?: string; disabled?: boolean; isInDialog?: boolean; selector?: unknown; rect?: { x: number; y: number }; frame?: { label: string } }} DiffElement
+ * @typedef {{ url: string; title: string; elements: DiffElement[]; moreElements?: DiffElement[]; activeTabIndex?: number; viewport?: { scrollX: number; scrollY: number } }} DiffSnapshot
+ * @typedef {{ substantial: boolean; url?: { from: string; to: string }; title?: { from: string; to: string }; added: DiffElement[]; removed: DiffElement[]; changed: Array<{ element: DiffElement; before: DiffElement }>; dialogOpened: boolean; dialogClosed: boolean }} SnapshotDiff
+ *   substantial: URL or tab changed, or most elements were replaced; the full element list should be sent.
+ */
+
+/**
+ * @param {DiffElement} el
+ */
+function isField(el) {
+  return el.tagName === 'input' || el.tagName === 'textarea' || el.tagName === 'select';
+}
+
+/**
+ * What an element is, independent of its id, text and current value: kind, link, field hints and the
+ * CSS selector when it is unique without text.
+ * @param {DiffElement} el
+ * @returns {string}
+ */
+function elementKey(el) {
+  const selector = /** @type {{ type?: string; value?: string } | undefined} */ (el.selector);
+  const identity = selector?.type === 'selector' ? selector.value : '';
+  return [el.frame?.label ?? '', el.tagName, el.role, el.type, identity, el.href, el.placeholder, el.labelText].join('|');
+}
+
+/**
+ * Position on the page (not the viewport), so scrolling does not move elements.
+ * @param {DiffElement} el
+ * @param {DiffSnapshot} snapshot
+ * @returns {{ x: number; y: number } | null}
+ */
+function pagePosition(el, snapshot) {
+  if (!el.rect) return null;
+  return { x: el.rect.x + (snapshot.viewport?.scrollX ?? 0), y: el.rect.y + (snapshot.viewport?.scrollY ?? 0) };
+}
+
+/**
+ * @param {DiffElement} before
+ * @param {DiffElement} after
+ */
+function hasChanged(before, after) {
+  return (
+    (!isField(after) && before.text !== after.text) ||
+    (before.value ?? '') !== (after.value ?? '') ||
+    !!before.disabled !== !!after.disabled ||
+    !!before.isInDialog !== !!after.isInDialog
+  );
+}
+
+/**
+ * Compare a fresh snapshot with the one the model saw last. Unless the change is substantial, the
+ * returned snapshot reuses the previous ids for elements that are still there (listed or not) and numbers
+ * new elements after the highest previous id; otherwise it is the fresh snapshot unchanged. Added,
+ * removed and changed refer to the listed elements.
+ * @template {DiffSnapshot} T
+ * @param {DiffSnapshot | null} previous - null on the first step
+ * @param {T} next
+ * @returns {{ snapshot: T; diff: SnapshotDiff | null }} diff is null on the first step
+ */
+export function compareSnapshots(previous, next) {
+  if (!previous) return { snapshot: next, diff: null };
+
+  const previousMore = previous.moreElements ?? [];
+  const nextAll = [...next.elements, ...(next.moreElements ?? [])];
+  /** @type {Map<DiffElement, DiffElement>} next element → the previous one it is */
+  const matches = new Map();
+  const matched = new Set();
+
+  // First the same element with the same text (in page order), then elements whose text changed
+  // in place: same kind, nearest position.
+  /** @type {Map<string, DiffElement[]>} */
+  const sameText = new Map();
+  for (const el of [...previous.elements, ...previousMore]) {
+    const key = elementKey(el) + '|' + (isField(el) ? '' : el.text);
+    if (!sameText.has(key)) sameText.set(key, []);
+    sameText.get(key)?.push(el);
+  }
+  for (const el of nextAll) {
+    const before = sameText.get(elementKey(el) + '|' + (isField(el) ? '' : el.text))?.shift();
+    if (!before) continue;
+    matches.set(el, before);
+    matched.add(before);
+  }
+  const unmatched = [...previous.elements, ...previousMore].filter((el) => !matched.has(el));
+  for (const el of nextAll) {
+    if (matches.has(el)) continue;
+    const key = elementKey(el);
+    const at = pagePosition(el, next);
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of unmatched) {
+      if (matched.has(candidate) || elementKey(candidate) !== key) continue;
+      const was = pagePosition(candidate, previous);
+      const distance = at && was ? Math.hypot(at.x - was.x, at.y - was.y) : 0;
+      if (distance <= MAX_TEXT_CHANGE_MOVE_PX && distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+    if (!best) continue;
+    matches.set(el, best);
+    matched.add(best);
+  }
+  const pairs = next.elements.map((el) => ({ el, before: matches.get(el) }));
+  const morePairs = (next.moreElements ?? []).map((el) => ({ el, before: matches.get(el) }));
+  const wasListed = new Set(previous.elements);
+  const removed = previous.elements.filter((el) => !matched.has(el));
+  const addedCount = pairs.filter((p) => !p.before || !wasListed.has(p.before)).length;
+
+  const hadDialog = previous.elements.some((el) => el.isInDialog);
+  const hasDialog = next.elements.some((el) => el.isInDialog);
+  const churn = addedCount + removed.length;
+  const substantial =
+    previous.url !== next.url ||
+    (previous.activeTabIndex ?? 0) !== (next.activeTabIndex ?? 0) ||
+    (churn >= MIN_SUBSTANTIAL_CHANGES && churn >= SUBSTANTIAL_CHANGE_RATIO * Math.max(previous.elements.length, next.elements.length));
+
+  /** @type {SnapshotDiff} */
+  const diff = {
+    substantial,
+    url: previous.url !== next.url ? { from: previous.url, to: next.url } : undefined,
+    title: previous.title !== next.title ? { from: previous.title, to: next.title } : undefined,
+    added: [],
+    removed: [],
+    changed: [],
+    dialogOpened: !hadDialog && hasDialog,
+    dialogClosed: hadDialog && !hasDialog,
+  };
+  if (substantial) return { snapshot: next, diff };
+
+  let nextId = [...previous.elements, ...previousMore].reduce((max, el) => Math.max(max, el.id), 0) + 1;
+  const elements = pairs.map(({ el, before }) => {
+    const element = { ...el, id: before ? before.id : nextId++ };
+    if (!before || !wasListed.has(before)) diff.added.push(element);
+    else if (hasChanged(before, el)) diff.changed.push({ element, before });
+    return element;
+  });
+  const moreElements = morePairs.map(({ el, before }) => ({ ...el, id: before ? before.id : nextId++ }));
+  diff.removed = removed;
+  return { snapshot: { ...next, elements, moreElements: next.moreElements && moreElements }, diff };
+}
+
+/**
+ * "What changed" section for the prompt.
+ * @param {SnapshotDiff} diff
+ * @returns {string}
+ */
+export function formatSnapshotDiff(diff) {
+  const lines = ['What changed since the previous step:'];
+  if (diff.url) lines.push(`  URL: ${diff.url.from} → ${diff.url.to}`);
+  if (diff.title) lines.push(`  Title: "${diff.title.from}" → "${diff.title.to}"`);
+  if (diff.substantial) {
+    lines.push('  The page changed substantially; the full element list follows (ids were renumbered).');
+    return lines.join('\n');
+  }
+  if (diff.dialogOpened) lines.push('  A dialog opened (its elements are marked "in modal/dialog").');
+  if (diff.dialogClosed) lines.push('  The dialog closed.');
+  if (diff.added.length) {
+    lines.push(`  Added (${diff.added.length}):`);
+    for (const el of diff.added) lines.push('    ' + formatElementLine(el));
+  }
+  if (diff.removed.length) {
+    lines.push(`  Removed (${diff.removed.length}):`);
+    for (const el of diff.removed.slice(0, MAX_LISTED_REMOVED)) lines.push('    ' + formatElementLine(el));
+    if (diff.removed.length > MAX_LISTED_REMOVED) lines.push(`    ... and ${diff.removed.length - MAX_LISTED_REMOVED} more`);
+  }
+  if (diff.changed.length) {
+    lines.push(`  Changed (${diff.changed.length}):`);
+    for (const { element, before } of diff.changed) {
+      const was = [];
+      if (!isField(element) && before.text !== element.text) was.push(`"${(before.text ?? '').slice(0, 60)}"`);
+      if ((before.value ?? '') !== (element.value ?? '')) was.push(`value="${String(before.value ?? '').slice(0, 50)}"`);
+      if (!!before.disabled !== !!element.disabled) was.push(before.disabled ? 'disabled' : 'enabled');
+      if (!!before.isInDialog !== !!element.isInDialog) was.push(before.isInDialog ? 'in dialog' : 'not in dialog');
+      lines.push('    ' + formatElementLine(element) + ` (before: ${was.join(', ')})`);
+    }
+  }
+  if (lines.length === 1) lines.push('  Nothing changed on the page.');
+  return lines.join('\n');
+}
@@ -0,0 +1,171 @@
+/**
+ * Tool registry: every tool the agent can call — built-in or from a plugin — is one entry with its
+ * JSON Schema, handler, security classification and the sub-agents allowed to use it.
+ * Plugins are ES modules in the plugin directory whose default export is an array of tool specs or a
+ * function that receives the registry and calls register().
+ */
+
+import { readdirSync } from 'fs';
+import { join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { classifyToolCall } from './security.js';
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * @typedef {{ snapshot: { elements: Array<{ id: number; selector: unknown }>; moreElements?: Array<{ id: number; selector: unknown }> }; browser: import('./browser.js').BrowserController; outputSchema?: Record<string, unknown>; signal?: AbortSignal; uploadDir?: string; taskType?: string }} ToolContext
+ *   snapshot.moreElements: elements not listed in the prompt (see rankElements); their ids are valid too.
+ *   outputSchema: when set, task_done requires `data` valid against it.
+ *   signal: aborted when the run is cancelled; long waits should stop early.
+ *   uploadDir: sandbox directory upload_file may take files from.
+ *   taskType: sub-agent of the run (browse, form, read, default).
+ * @typedef {{ success: boolean; message: string; stop?: boolean; userQuestion?: string; data?: unknown; invalidData?: boolean }} ToolResult
+ *   invalidData: task_done data did not match outputSchema (the run stops after repeated failures).
+ * @typedef {'none' | 'confirm' | ((args: Record<string, unknown>, snapshot: ToolContext['snapshot']) => { destructive: boolean; description?: string })} ToolSecurity
+ *   none: never asks; confirm: the user confirms every call; a function decides per call.
+ * @typedef {{ name: string; description: string; parameters: Record<string, unknown>; handler: (args: Record<string, unknown>, context: ToolContext) => ToolResult | Promise<ToolResult>; security?: ToolSecurity; subAgents?: string[] }} ToolSpec
+ *   parameters: JSON Schema of the arguments (type: 'object'). runAgent coerces and validates the model's
+ *   arguments against it (see checkArguments in schema.js) before calling the handler.
+ *   subAgents: task types that may use the tool; all when omitted.
+ */
+
+export class ToolRegistry {
+  /** @type {Map<string, ToolSpec>} */
+  #tools = new Map();
+
+  /**
+   * Add a tool. Throws on an invalid spec or a name that is already taken.
+   * @param {ToolSpec} spec
+   * @returns {this}
+   */
+  register(spec) {
+    const problem = specProblem(spec);
+    if (problem) throw new Error(`Invalid tool ${JSON.stringify(spec?.name ?? '(unnamed)')}: ${problem}`);
+    if (this.#tools.has(spec.name)) throw new Error(`Tool "${spec.name}" is already registered`);
+    this.#tools.set(spec.name, { security: 'none', ...spec });
+    return this;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {ToolSpec | undefined}
+   */
+  get(name) {
+    return this.#tools.get(name);
+  }
+
+  /** @returns {string[]} */
+  names() {
+    return [...this.#tools.keys()];
+  }
+
+  /**
+   * OpenAI tool definitions for the tools the sub-agent may use, in registration order.
+   * @param {string} [taskType]
+   */
+  definitions(taskType) {
+    return [...this.#tools.values()]
+      .filter((tool) => isAllowed(tool, taskType))
+      .map((tool) => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters },
+      }));
+  }
+
+  /**
+   * Whether the call needs the user's confirmation (see security.js).
+   * @param {string} name
+   * @param {Record<string, unknown>} args
+   * @param {ToolContext['snapshot']} snapshot
+   * @returns {{ destructive: boolean; description?: string }}
+   */
+  checkSecurity(name, args, snapshot) {
+    const tool = this.#tools.get(name);
+    return tool ? classifyToolCall(tool, args, snapshot) : { destructive: false };
+  }
+
+  /**
+   * Run a tool. Unknown tools, tools not allowed for context.taskType, thrown errors and malformed
+   * results all come back as { success: false, message }.
+   * @param {string} name
+   * @param {Record<string, unknown>} args
+   * @param {ToolContext} context
+   * @returns {Promise<ToolResult>}
+   */
+  async execute(name, args, context) {
+    const tool = this.#tools.get(name);
+    if (!tool || !isAllowed(tool, context.taskType)) return { success: false, message: 'Unknown tool: ' + name };
+    let result;
+    try {
+      result = await tool.handler(args, context);
+    } catch (err) {
+      return { success: false, message: String(err?.message || err) };
+    }
+    if (!result || typeof result.success !== 'boolean' || typeof result.message !== 'string') {
+      return { success: false, message: `Tool ${name} returned an invalid result` };
+    }
+    return result;
+  }
+}
+
+/**
+ * @param {ToolSpec} tool
+ * @param {string} [taskType]
+ */
+function isAllowed(tool, taskType) {
+  return !tool.subAgents || !taskType || tool.subAgents.includes(taskType);
+}
+
+/**
+ * @param {any} spec
+ * @returns {string | null} what is wrong with the spec, or null
+ */
+function specProblem(spec) {
+  if (!spec || typeof spec !== 'object') return 'spec must be an object';
+  if (typeof spec.name !== 'string' || !TOOL_NAME_PATTERN.test(spec.name)) return 'name must be 1-64 letters, digits, _ or -';
+  if (typeof spec.description !== 'string' || !spec.description) return 'description is required';
+  if (!spec.parameters || spec.parameters.type !== 'object') return 'parameters must be a JSON Schema with type "object"';
+  if (typeof spec.handler !== 'function') return 'handler must be a function';
+  if (spec.security !== undefined && spec.security !== 'none' && spec.security !== 'confirm' && typeof spec.security !== 'function') {
+    return 'security must be "none", "confirm" or a function';
+  }
+  if (spec.subAgents !== undefined && !(Array.isArray(spec.subAgents) && spec.subAgents.every((s) => typeof s === 'string'))) {
+    return 'subAgents must be an array of task types';
+  }
+  return null;
+}
+
+/**
+ * Import every .js/.mjs file in dir (alphabetically) and register its tools.
+ * @param {ToolRegistry} registry
+ * @param {string} dir
+ * @returns {Promise<string[]>} names of the tools added
+ */
+export async function loadPlugins(registry, dir) {
+  const root = resolve(dir);
+  let files;
+  try {
+    files = readdirSync(root)
+      .filter((f) => /\.m?js$/.test(f) && !f.startsWith('.'))
+      .sort();
+  } catch (err) {
+    throw new Error(`Cannot read plugin directory ${root}: ${err?.message || err}`);
+  }
+  const before = new Set(registry.names());
+  for (const file of files) {
+    const path = join(root, file);
+    try {
+      const plugin = (await import(pathToFileURL(path).href)).default;
+      if (typeof plugin === 'function') {
+        await plugin(registry);
+      } else if (Array.isArray(plugin)) {
+        for (const spec of plugin) registry.register(spec);
+      } else {
+        throw new Error('default export must be an array of tool specs or a function(registry)');
+      }
+    } catch (err) {
+      throw new Error(`Plugin ${path}: ${err?.message || err}`);
+    }
+  }
+  return registry.names().filter((name) => !before.has(name));
+}
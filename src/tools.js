@@ -1,216 +1,194 @@
 /**
- * OpenAI tool definitions and execution. No hardcoded site hints — agent decides from page snapshot.
+ * Built-in tools: JSON Schema definitions and handlers, registered on the tool registry. No hardcoded
+ * site hints — agent decides from page snapshot.
  */
 
-export const TOOL_DEFINITIONS = [
+import { findSnapshotElement, formatElementLine } from './pageSnapshot.js';
+import { validateSchema } from './schema.js';
+import { destructiveClick, destructiveKeyPress, uploadConfirmation } from './security.js';
+import { ToolRegistry } from './toolRegistry.js';
+import { resolveUploadFile } from './uploads.js';
+
+/**
+ * Resolve with the promise's value, or with undefined as soon as the signal aborts.
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T | undefined>}
+ */
+function untilAborted(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.resolve(undefined);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => resolve(undefined);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Handler for the pointer tools that act on one element (hover, double_click, right_click).
+ * @param {'hoverElement' | 'doubleClickElement' | 'rightClickElement'} method - BrowserController method
+ * @param {string} verb - for the result message
+ * @param {{ allowDisabled?: boolean }} [options]
+ * @returns {import('./toolRegistry.js').ToolSpec['handler']}
+ */
+function pointerHandler(method, verb, options = {}) {
+  return async (args, { snapshot, browser }) => {
+    const elementId = args.element_id;
+    const targetEl = findSnapshotElement(snapshot, elementId);
+    if (targetEl?.disabled && !options.allowDisabled) {
+      return { success: false, message: 'Element is disabled. Fill required fields or wait for it to become enabled, then try again.' };
+    }
+    try {
+      await browser[method](snapshot, elementId);
+      return { success: true, message: verb + ' element ' + elementId };
+    } catch (err) {
+      return { success: false, message: String(err?.message || err) + '. Try scroll(down) to bring the element into view, or re-check the snapshot.' };
+    }
+  };
+}
+
+/**
+ * Handler for go_back / go_forward.
+ * @param {boolean} back
+ * @returns {import('./toolRegistry.js').ToolSpec['handler']}
+ */
+function historyHandler(back) {
+  return async (_args, { browser }) => {
+    try {
+      const moved = back ? await browser.goBack() : await browser.goForward();
+      if (!moved) return { success: false, message: `No ${back ? 'previous' : 'next'} page in this tab's history` };
+      return { success: true, message: `Went ${back ? 'back' : 'forward'} to ${browser.getPage().url()}` };
+    } catch (err) {
+      return { success: false, message: String(err?.message || err) };
+    }
+  };
+}
+
+const MORE_ELEMENTS_PAGE_SIZE = 50;
+
+/** @type {import('./toolRegistry.js').ToolSpec[]} */
+export const BUILTIN_TOOLS = [
   {
-    type: 'function',
-    function: {
-      name: 'navigate',
-      description: 'Navigate the current tab to a URL. Use when you need to open a new site or page in the active tab.',
-      parameters: {
-        type: 'object',
-        properties: {
-          url: { type: 'string', description: 'Full URL to open (e.g. https://example.com)' },
-        },
-        required: ['url'],
+    name: 'navigate',
+    description: 'Navigate the current tab to a URL. Use when you need to open a new site or page in the active tab.',
+    parameters: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', description: 'Full URL to open (e.g. https://example.com)' },
       },
+      required: ['url'],
     },
-  },
-  {
-    type: 'function',
-    function: {
-      name: 'open_new_tab',
-      description: 'Open a new browser tab. Optionally navigate it to a URL. The new tab becomes active. Use for multi-site workflows (e.g. keep one site in tab 0, open another in tab 1).',
-      parameters: {
-        type: 'object',
-        properties: {
-          url: { type: 'string', description: 'Optional. URL to open in the new tab. If omitted, new tab is blank.' },
-        },
-        required: [],
-      },
+    handler: async (args, { browser }) => {
+      const url = args.url;
+      await browser.navigate(url);
+      return { success: true, message: 'Navigated to ' + url };
     },
   },
   {
-    type: 'function',
-    function: {
-      name: 'switch_tab',
-      description: 'Switch to another tab by its index (0-based). The snapshot shows "Tabs" with indices; use the index of the tab you want to work in. All subsequent actions apply to that tab until you switch again.',
-      parameters: {
-        type: 'object',
-        properties: {
-          tab_index: { type: 'integer', description: '0-based tab index from the Tabs list (e.g. 0 for first tab, 1 for second)' },
-        },
-        required: ['tab_index'],
+    name: 'open_new_tab',
+    description: 'Open a new browser tab. Optionally navigate it to a URL. The new tab becomes active. Use for multi-site workflows (e.g. keep one site in tab 0, open another in tab 1).',
+    parameters: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', description: 'Optional. URL to open in the new tab. If omitted, new tab is blank.' },
       },
+      required: [],
     },
-  },
-  {
-    type: 'function',
-    function: {
-      name: 'click_element',
-      description: 'Click a button, link, or other interactive element by its id from the snapshot. Do not use for elements marked "(disabled)" — fill required fields first or wait. Prefer the element whose text/label matches the action (e.g. Submit, Send, Close).',
-      parameters: {
-        type: 'object',
-        properties: {
-          element_id: { type: 'integer', description: 'Numeric id of the element from the snapshot (e.g. 5)' },
-        },
-        required: ['element_id'],
-      },
+    handler: async (args, { browser }) => {
+      const url = args.url;
+      try {
+        await browser.newTab(typeof url === 'string' ? url : undefined);
+        const pages = browser.getPages();
+        const idx = pages.length - 1;
+        return {
+          success: true,
+          message: url ? `Opened new tab ${idx} and navigated to ${url}` : `Opened new tab ${idx} (blank). Use navigate(url) to go to a page.`,
+        };
+      } catch (err) {
+        return { success: false, message: String(err?.message || err) };
+      }
     },
   },
   {
-    type: 'function',
-    function: {
-      name: 'type_text',
-      description: 'Type text into an input/textarea. Either specify element_id from snapshot, or omit to type into the currently focused field.',
-      parameters: {
-        type: 'object',
-        properties: {
-          text: { type: 'string', description: 'Text to type' },
-          element_id: { type: 'integer', description: 'Optional. Id of input/textarea from snapshot. If omitted, types into focused element.' },
-        },
-        required: ['text'],
+    name: 'switch_tab',
+    description: 'Switch to another tab by its index (0-based). The snapshot shows "Tabs" with indices; use the index of the tab you want to work in. All subsequent actions apply to that tab until you switch again.',
+    parameters: {
+      type: 'object',
+      properties: {
+        tab_index: { type: 'integer', description: '0-based tab index from the Tabs list (e.g. 0 for first tab, 1 for second)' },
       },
+      required: ['tab_index'],
     },
-  },
-  {
-    type: 'function',
-    function: {
-      name: 'select_option',
-      description: 'Select an option in a <select> dropdown by value or by visible label. Use element_id of the select from the snapshot; options are listed in the element description.',
-      parameters: {
-        type: 'object',
-        properties: {
-          element_id: { type: 'integer', description: 'Id of the select element from the snapshot' },
-          value_or_label: { type: 'string', description: 'Option value (attribute) or visible label text' },
-        },
-        required: ['element_id', 'value_or_label'],
-      },
+    handler: async (args, { browser }) => {
+      const tabIndex = args.tab_index;
+      try {
+        await browser.switchTab(tabIndex);
+        return { success: true, message: 'Switched to tab ' + tabIndex };
+      } catch (err) {
+        return { success: false, message: String(err?.message || err) };
+      }
     },
   },
   {
-    type: 'function',
-    function: {
-      name: 'set_checkbox',
-      description: 'Set checkbox or radio button checked state. Use for input type=checkbox or type=radio.',
-      parameters: {
-        type: 'object',
-        properties: {
-          element_id: { type: 'integer', description: 'Id of the checkbox/radio from the snapshot' },
-          checked: { type: 'boolean', description: 'true to check, false to uncheck' },
-        },
-        required: ['element_id', 'checked'],
+    name: 'close_tab',
+    description: 'Close a tab by its index (0-based) from the Tabs list, e.g. a popup or a tab you no longer need. If it is the current tab, the previous tab becomes current. Indices of later tabs shift down by one.',
+    parameters: {
+      type: 'object',
+      properties: {
+        tab_index: { type: 'integer', description: '0-based tab index from the Tabs list' },
       },
+      required: ['tab_index'],
     },
-  },
-  {
-    type: 'function',
-    function: {
-      name: 'scroll',
-      description: 'Scroll the page to see more content.',
-      parameters: {
-        type: 'object',
-        properties: {
-          direction: {
-            type: 'string',
-            enum: ['up', 'down', 'left', 'right'],
-            description: 'Scroll direction',
-          },
-        },
-        required: ['direction'],
-      },
+    handler: async (args, { browser }) => {
+      const tabIndex = args.tab_index;
+      try {
+        const active = await browser.closeTab(tabIndex);
+        return { success: true, message: `Closed tab ${tabIndex}. Current tab is now ${active}.` };
+      } catch (err) {
+        return { success: false, message: String(err?.message || err) };
+      }
     },
   },
   {
-    type: 'function',
-    function: {
-      name: 'wait',
-      description: 'Wait for dynamic content to load, animations to finish, or after form submit to see result. Use after navigation, after a click that opens overlay/modal, or after submitting a form to see success/validation messages.',
-      parameters: {
-        type: 'object',
-        properties: {
-          seconds: { type: 'number', description: 'Seconds to wait (1–10)' },
-        },
-        required: ['seconds'],
-      },
-    },
+    name: 'go_back',
+    description: "Go back to the previous page in the current tab's history (like the browser Back button). Use to undo a wrong navigation instead of re-typing the URL.",
+    parameters: { type: 'object', properties: {}, required: [] },
+    handler: historyHandler(true),
   },
   {
-    type: 'function',
-    function: {
-      name: 'task_done',
-      description: 'Call when the user task is fully completed. Provide a brief result summary.',
-      parameters: {
-        type: 'object',
-        properties: {
-          result: { type: 'string', description: 'Brief summary of what was done' },
-        },
-        required: ['result'],
-      },
-    },
+    name: 'go_forward',
+    description: "Go forward to the next page in the current tab's history (after go_back).",
+    parameters: { type: 'object', properties: {}, required: [] },
+    handler: historyHandler(false),
   },
   {
-    type: 'function',
-    function: {
-      name: 'request_user_input',
-      description: 'Call when you need additional information from the user to proceed (e.g. choice, confirmation, password).',
-      parameters: {
-        type: 'object',
-        properties: {
-          question: { type: 'string', description: 'Question or prompt for the user' },
-        },
-        required: ['question'],
-      },
-    },
-  },
-];
-
-/**
- * Execute a tool by name with given args. Uses current snapshot and browser controller.
- * @param {string} name
- * @param {Record<string, unknown>} args
- * @param {{ snapshot: { elements: Array<{ id: number; selector: unknown }> }; browser: import('./browser.js').BrowserController }} context
- * @returns {Promise<{ success: boolean; message: string; stop?: boolean; userQuestion?: string }>}
- */
-export async function executeTool(name, args, context) {
-  const { snapshot, browser } = context;
-
-  switch (name) {
-    case 'navigate': {
-      const url = args.url;
-      if (typeof url !== 'string') return { success: false, message: 'url must be a string' };
-      await browser.navigate(url);
-      return { success: true, message: 'Navigated to ' + url };
-    }
-    case 'open_new_tab': {
-      const url = args.url;
+    name: 'reload',
+    description: 'Reload the current page, e.g. when it did not load completely or shows stale content.',
+    parameters: { type: 'object', properties: {}, required: [] },
+    handler: async (_args, { browser }) => {
       try {
-        await browser.newTab(typeof url === 'string' ? url : undefined);
-        const pages = browser.getPages();
-        const idx = pages.length - 1;
-        return {
-          success: true,
-          message: url ? `Opened new tab ${idx} and navigated to ${url}` : `Opened new tab ${idx} (blank). Use navigate(url) to go to a page.`,
-        };
+        await browser.reload();
+        return { success: true, message: 'Reloaded ' + browser.getPage().url() };
       } catch (err) {
         return { success: false, message: String(err?.message || err) };
       }
-    }
-    case 'switch_tab': {
-      const tabIndex = args.tab_index;
-      if (typeof tabIndex !== 'number') return { success: false, message: 'tab_index must be a number' };
-      try {
-        await browser.switchTab(tabIndex);
-        return { success: true, message: 'Switched to tab ' + tabIndex };
-      } catch (err) {
-        return { success: false, message: String(err?.message || err) };
-      }
-    }
-    case 'click_element': {
+    },
+  },
+  {
+    name: 'click_element',
+    description: 'Click a button, link, or other interactive element by its id from the snapshot. Do not use for elements marked "(disabled)" — fill required fields first or wait. Prefer the element whose text/label matches the action (e.g. Submit, Send, Close).',
+    parameters: {
+      type: 'object',
+      properties: {
+        element_id: { type: 'integer', description: 'Numeric id of the element from the snapshot (e.g. 5)' },
+      },
+      required: ['element_id'],
+    },
+    handler: async (args, { snapshot, browser }) => {
       const elementId = args.element_id;
-      if (typeof elementId !== 'number') return { success: false, message: 'element_id must be a number' };
-      const targetEl = snapshot.elements?.find((e) => e.id === elementId);
+      const targetEl = findSnapshotElement(snapshot, elementId);
       if (targetEl) {
         const label = [targetEl.text, targetEl.href].filter(Boolean).join(' | ') || '(no label)';
         console.log('[click_element] id=%d selector=%s label=%s', elementId, JSON.stringify(targetEl.selector), label.slice(0, 80));
@@ -228,63 +206,383 @@ export async function executeTool(name, args, context) {
         const msg = String(err?.message || err);
         return {
           success: false,
-          message: msg + '. Try scroll(down) to bring the element into view, then wait(2), then click again; or the element may have changed (re-check snapshot).',
+          message: msg + '. Try scroll(down) to bring the element into view, then wait_for("element_visible", element_id), then click again; or the element may have changed (re-check snapshot).',
         };
       }
-    }
-    case 'type_text': {
+    },
+    security: destructiveClick,
+  },
+  {
+    name: 'hover',
+    description: 'Move the mouse over an element by its id from the snapshot. Use for menus and submenus that open on hover, or tooltips. The next snapshot shows what appeared.',
+    parameters: {
+      type: 'object',
+      properties: {
+        element_id: { type: 'integer', description: 'Numeric id of the element from the snapshot' },
+      },
+      required: ['element_id'],
+    },
+    handler: pointerHandler('hoverElement', 'Hovered over', { allowDisabled: true }),
+  },
+  {
+    name: 'double_click',
+    description: 'Double-click an element by its id from the snapshot (e.g. to rename a file, open an item in a file manager, select a word).',
+    parameters: {
+      type: 'object',
+      properties: {
+        element_id: { type: 'integer', description: 'Numeric id of the element from the snapshot' },
+      },
+      required: ['element_id'],
+    },
+    handler: pointerHandler('doubleClickElement', 'Double-clicked'),
+    security: destructiveClick,
+  },
+  {
+    name: 'right_click',
+    description: 'Right-click an element by its id from the snapshot to open its context menu.',
+    parameters: {
+      type: 'object',
+      properties: {
+        element_id: { type: 'integer', description: 'Numeric id of the element from the snapshot' },
+      },
+      required: ['element_id'],
+    },
+    handler: pointerHandler('rightClickElement', 'Right-clicked'),
+  },
+  {
+    name: 'drag',
+    description: 'Drag an element and drop it onto another element (target_element_id) or move it by a pixel offset (offset_x/offset_y). Use for sortable lists, kanban boards, sliders.',
+    parameters: {
+      type: 'object',
+      properties: {
+        source_element_id: { type: 'integer', description: 'Id of the element to drag' },
+        target_element_id: { type: 'integer', description: 'Optional. Id of the element to drop onto' },
+        offset_x: { type: 'integer', description: 'Optional (instead of target). Horizontal offset in pixels, negative = left' },
+        offset_y: { type: 'integer', description: 'Optional (instead of target). Vertical offset in pixels, negative = up' },
+      },
+      required: ['source_element_id'],
+    },
+    handler: async (args, { snapshot, browser }) => {
+      const sourceId = args.source_element_id;
+      const targetId = args.target_element_id;
+      const dx = args.offset_x;
+      const dy = args.offset_y;
+      let to;
+      if (typeof targetId === 'number') {
+        to = { elementId: targetId };
+      } else if (typeof dx === 'number' || typeof dy === 'number') {
+        to = { dx: typeof dx === 'number' ? dx : 0, dy: typeof dy === 'number' ? dy : 0 };
+      } else {
+        return { success: false, message: 'Give target_element_id or offset_x/offset_y' };
+      }
+      try {
+        await browser.dragElement(snapshot, sourceId, to);
+        return {
+          success: true,
+          message: 'Dragged element ' + sourceId + ('elementId' in to ? ' onto element ' + to.elementId : ` by (${to.dx}, ${to.dy}) px`),
+        };
+      } catch (err) {
+        return { success: false, message: String(err?.message || err) };
+      }
+    },
+  },
+  {
+    name: 'type_text',
+    description: 'Type text into an input/textarea. Either specify element_id from snapshot, or omit to type into the currently focused field.',
+    parameters: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: 'Text to type' },
+        element_id: { type: 'integer', description: 'Optional. Id of input/textarea from snapshot. If omitted, types into focused element.' },
+      },
+      required: ['text'],
+    },
+    handler: async (args, { snapshot, browser }) => {
       const text = args.text;
       const elementId = args.element_id;
-      if (typeof text !== 'string') return { success: false, message: 'text must be a string' };
       try {
         await browser.typeText(snapshot, typeof elementId === 'number' ? elementId : null, text);
         return { success: true, message: 'Typed text into ' + (elementId != null ? 'element ' + elementId : 'focused field') };
       } catch (err) {
         return { success: false, message: String(err?.message || err) };
       }
-    }
-    case 'select_option': {
+    },
+  },
+  {
+    name: 'press_key',
+    description: 'Press a key or key combination. Use Enter to submit a search box without a button, Escape to close a modal, Tab to move focus, ArrowDown/ArrowUp + Enter to pick from autocomplete, Control+A to select all. With element_id the element is focused first; otherwise the key goes to the focused element.',
+    parameters: {
+      type: 'object',
+      properties: {
+        key: { type: 'string', description: 'Key name (Enter, Escape, Tab, ArrowDown, Backspace, PageDown, F5, ...), a single character, or a combination joined with + (Control+A, Shift+Tab, Meta+Enter)' },
+        element_id: { type: 'integer', description: 'Optional. Id of the element from the snapshot to focus before pressing' },
+      },
+      required: ['key'],
+    },
+    handler: async (args, { snapshot, browser }) => {
+      const key = args.key;
+      const elementId = args.element_id;
+      try {
+        const pressed = await browser.pressKey(snapshot, typeof elementId === 'number' ? elementId : null, key);
+        return { success: true, message: 'Pressed ' + pressed + (typeof elementId === 'number' ? ' on element ' + elementId : '') };
+      } catch (err) {
+        return { success: false, message: String(err?.message || err) };
+      }
+    },
+    security: destructiveKeyPress,
+  },
+  {
+    name: 'select_option',
+    description: 'Select an option in a <select> dropdown by value or by visible label. Use element_id of the select from the snapshot; options are listed in the element description.',
+    parameters: {
+      type: 'object',
+      properties: {
+        element_id: { type: 'integer', description: 'Id of the select element from the snapshot' },
+        value_or_label: { type: 'string', description: 'Option value (attribute) or visible label text' },
+      },
+      required: ['element_id', 'value_or_label'],
+    },
+    handler: async (args, { snapshot, browser }) => {
       const elementId = args.element_id;
       const valueOrLabel = args.value_or_label;
-      if (typeof elementId !== 'number') return { success: false, message: 'element_id must be a number' };
-      if (typeof valueOrLabel !== 'string') return { success: false, message: 'value_or_label must be a string' };
       try {
         await browser.selectOption(snapshot, elementId, valueOrLabel);
         return { success: true, message: 'Selected "' + valueOrLabel + '" in element ' + elementId };
       } catch (err) {
         return { success: false, message: String(err?.message || err) };
       }
-    }
-    case 'set_checkbox': {
+    },
+  },
+  {
+    name: 'set_checkbox',
+    description: 'Set checkbox or radio button checked state. Use for input type=checkbox or type=radio.',
+    parameters: {
+      type: 'object',
+      properties: {
+        element_id: { type: 'integer', description: 'Id of the checkbox/radio from the snapshot' },
+        checked: { type: 'boolean', description: 'true to check, false to uncheck' },
+      },
+      required: ['element_id', 'checked'],
+    },
+    handler: async (args, { snapshot, browser }) => {
       const elementId = args.element_id;
       const checked = args.checked;
-      if (typeof elementId !== 'number') return { success: false, message: 'element_id must be a number' };
-      if (typeof checked !== 'boolean') return { success: false, message: 'checked must be a boolean' };
       try {
         await browser.setCheckbox(snapshot, elementId, checked);
         return { success: true, message: (checked ? 'Checked' : 'Unchecked') + ' element ' + elementId };
       } catch (err) {
         return { success: false, message: String(err?.message || err) };
       }
-    }
-    case 'scroll': {
-      const direction = args.direction;
-      if (!['up', 'down', 'left', 'right'].includes(direction)) {
-        return { success: false, message: 'direction must be up, down, left, or right' };
+    },
+  },
+  {
+    name: 'upload_file',
+    description: 'Upload a file: element_id is a file input ([input type=file]) or a custom upload button that opens a file dialog. file_name must be one of the files listed as available for upload. The user is asked to confirm every upload.',
+    parameters: {
+      type: 'object',
+      properties: {
+        element_id: { type: 'integer', description: 'Id of the file input or upload button from the snapshot' },
+        file_name: { type: 'string', description: 'Name of an available file (no path), e.g. cv.pdf' },
+      },
+      required: ['element_id', 'file_name'],
+    },
+    handler: async (args, { snapshot, browser, uploadDir }) => {
+      const elementId = args.element_id;
+      const fileName = args.file_name;
+      try {
+        const filePath = resolveUploadFile(uploadDir, fileName);
+        await browser.uploadFile(snapshot, elementId, filePath);
+        return { success: true, message: 'Uploaded ' + fileName + ' via element ' + elementId };
+      } catch (err) {
+        return { success: false, message: String(err?.message || err) };
       }
+    },
+    security: uploadConfirmation,
+  },
+  {
+    name: 'scroll',
+    description: 'Scroll the page to see more content.',
+    parameters: {
+      type: 'object',
+      properties: {
+        direction: {
+          type: 'string',
+          enum: ['up', 'down', 'left', 'right'],
+          description: 'Scroll direction',
+        },
+      },
+      required: ['direction'],
+    },
+    handler: async (args, { browser }) => {
+      const direction = args.direction;
       await browser.scroll(direction);
       return { success: true, message: 'Scrolled ' + direction };
-    }
-    case 'wait': {
+    },
+  },
+  {
+    name: 'find_text',
+    description: 'Search the visible text of the whole page (case-insensitive), like Ctrl+F. Returns the number of matches with surrounding text, scrolls the chosen match into view, and the next page content excerpt is centered on it. Use to find a fact on a long page instead of scrolling step by step.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Text to find, e.g. "return policy"' },
+        regex: { type: 'boolean', description: 'Treat query as a JavaScript regular expression (default false), e.g. "\\$\\d+[.,]\\d{2}"' },
+        match_index: { type: 'integer', description: 'Which match to scroll to, 1-based (default 1); call again with another number to move to a later match' },
+      },
+      required: ['query'],
+    },
+    handler: async (args, { browser }) => {
+      const query = args.query;
+      const matchIndex = args.match_index ?? 1;
+      if (!query.trim()) return { success: false, message: 'query must not be empty' };
+      if (matchIndex < 1) return { success: false, message: 'match_index must be 1 or greater' };
+      const found = await browser.findText(query, { regex: args.regex, matchIndex });
+      if (found.error) return { success: false, message: found.error };
+      if (!found.total) return { success: true, message: `No matches for "${query}" in the visible page text` };
+      if (!found.scrolledTo) {
+        return { success: false, message: `match_index ${matchIndex} is out of range: "${query}" has ${found.total} match(es)` };
+      }
+      const lines = found.matches.map((m) => `${m.n === found.scrolledTo ? '>' : ' '} ${m.n}. ${m.context}`);
+      const shown = found.matches.length < found.total ? ` (showing ${found.matches.length})` : '';
+      return {
+        success: true,
+        message: `${found.total} match(es) for "${query}"${shown}; scrolled to match ${found.scrolledTo}:\n` + lines.join('\n'),
+      };
+    },
+  },
+  {
+    name: 'list_more_elements',
+    description: 'List interactive elements left out of the page state. On big pages only part of the elements is listed (dialogs, elements in or near the view, elements matching the task); the rest are returned here, most relevant first, with ids you can use in other tools. Use when the element you need is not listed.',
+    parameters: {
+      type: 'object',
+      properties: {
+        page: { type: 'integer', description: `Page of the unlisted elements, ${MORE_ELEMENTS_PAGE_SIZE} per page (default 1)` },
+      },
+    },
+    handler: async (args, { snapshot }) => {
+      const more = snapshot.moreElements ?? [];
+      if (!more.length) return { success: true, message: 'All interactive elements of the page are already listed.' };
+      const pages = Math.ceil(more.length / MORE_ELEMENTS_PAGE_SIZE);
+      const page = args.page ?? 1;
+      if (page < 1 || page > pages) return { success: false, message: `page must be between 1 and ${pages}` };
+      const lines = more.slice((page - 1) * MORE_ELEMENTS_PAGE_SIZE, page * MORE_ELEMENTS_PAGE_SIZE).map((el) => '  ' + formatElementLine(el));
+      const next = page < pages ? `\nCall list_more_elements with page=${page + 1} for more.` : '';
+      return { success: true, message: `Unlisted elements, page ${page} of ${pages} (${more.length} in total, most relevant first):\n` + lines.join('\n') + next };
+    },
+  },
+  {
+    name: 'wait',
+    description: 'Pause for a fixed number of seconds, e.g. for an animation. Prefer wait_for, which returns as soon as the expected text, element state, URL or network idle is reached.',
+    parameters: {
+      type: 'object',
+      properties: {
+        seconds: { type: 'number', description: 'Seconds to wait (1–10)' },
+      },
+      required: ['seconds'],
+    },
+    handler: async (args, { signal }) => {
       const sec = Math.min(10, Math.max(1, Number(args.seconds) || 2));
-      await new Promise((r) => setTimeout(r, sec * 1000));
+      await new Promise((r) => {
+        const timer = setTimeout(done, sec * 1000);
+        function done() {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', done);
+          r();
+        }
+        signal?.addEventListener('abort', done);
+      });
+      if (signal?.aborted) return { success: false, message: 'Wait interrupted: the run was aborted' };
       return { success: true, message: 'Waited ' + sec + ' seconds' };
-    }
-    case 'task_done': {
+    },
+  },
+  {
+    name: 'wait_for',
+    description: 'Wait until something happens instead of sleeping a fixed time: text appears or disappears, an element becomes visible, enabled or hidden, the URL matches, or network activity stops. Returns as soon as the condition holds, or an error after the timeout. Use after submitting a form, after a click that loads content, or while a spinner is shown.',
+    parameters: {
+      type: 'object',
+      properties: {
+        condition: {
+          type: 'string',
+          enum: ['text_visible', 'text_hidden', 'element_visible', 'element_enabled', 'element_hidden', 'url_matches', 'network_idle'],
+          description: 'text_visible/text_hidden: text appears/disappears on the page; element_visible/element_enabled/element_hidden: element_id becomes visible, enabled (not disabled) or hidden/removed; url_matches: URL contains url_pattern; network_idle: no network requests for a moment',
+        },
+        text: { type: 'string', description: 'For text_visible/text_hidden: text to look for (case-insensitive substring), e.g. "Thank you" or "Loading"' },
+        element_id: { type: 'integer', description: 'For element_* conditions: id of the element from the snapshot' },
+        url_pattern: { type: 'string', description: 'For url_matches: substring of the URL (e.g. "/checkout/success") or a regex like "/order\\/\\d+/"' },
+        timeout_seconds: { type: 'number', description: 'Maximum time to wait (1–30, default 10)' },
+      },
+      required: ['condition'],
+    },
+    handler: async (args, { snapshot, browser, signal }) => {
+      const { condition, text, element_id: elementId, url_pattern: urlPattern } = args;
+      const timeoutSec = Math.min(30, Math.max(1, Number(args.timeout_seconds) || 10));
+      let what;
+      if (condition === 'text_visible' || condition === 'text_hidden') {
+        if (typeof text !== 'string' || !text.trim()) return { success: false, message: `text is required for ${condition}` };
+        what = `text "${text}" ${condition === 'text_visible' ? 'is visible' : 'is gone'}`;
+      } else if (condition === 'element_visible' || condition === 'element_enabled' || condition === 'element_hidden') {
+        if (typeof elementId !== 'number') return { success: false, message: `element_id is required for ${condition}` };
+        what = `element ${elementId} is ${condition.slice('element_'.length)}`;
+      } else if (condition === 'url_matches') {
+        if (typeof urlPattern !== 'string' || !urlPattern) return { success: false, message: 'url_pattern is required for url_matches' };
+        what = `URL matches ${urlPattern}`;
+      } else if (condition === 'network_idle') {
+        what = 'network is idle';
+      } else {
+        return { success: false, message: 'Unknown condition: ' + condition };
+      }
+      try {
+        const outcome = await untilAborted(
+          browser.waitFor(snapshot, { condition, text, elementId, urlPattern, timeoutMs: timeoutSec * 1000 }),
+          signal
+        );
+        if (!outcome) return { success: false, message: 'Wait interrupted: the run was aborted' };
+        const seconds = (outcome.elapsedMs / 1000).toFixed(1);
+        if (!outcome.met) {
+          return { success: false, message: `Timed out after ${timeoutSec}s waiting until ${what} (current URL: ${outcome.url})` };
+        }
+        return { success: true, message: `After ${seconds}s: ${what} (current URL: ${outcome.url})` };
+      } catch (err) {
+        return { success: false, message: String(err?.message || err) };
+      }
+    },
+  },
+  {
+    name: 'task_done',
+    description: 'Call when the user task is fully completed. Provide a brief result summary.',
+    parameters: {
+      type: 'object',
+      properties: {
+        result: { type: 'string', description: 'Brief summary of what was done' },
+      },
+      required: ['result'],
+    },
+    handler: async (args, { outputSchema }) => {
       const result = args.result;
-      return { success: true, message: typeof result === 'string' ? result : 'Done', stop: true };
-    }
-    case 'request_user_input': {
+      const message = typeof result === 'string' ? result : 'Done';
+      if (!outputSchema) return { success: true, message, stop: true };
+      const errors = validateSchema(outputSchema, args.data, 'data');
+      if (errors.length) {
+        return {
+          success: false,
+          message: 'data does not match the required schema:\n- ' + errors.join('\n- ') + '\nFix the data and call task_done again.',
+          invalidData: true,
+        };
+      }
+      return { success: true, message, stop: true, data: args.data };
+    },
+  },
+  {
+    name: 'request_user_input',
+    description: 'Call when you need additional information from the user to proceed (e.g. choice, confirmation, password).',
+    parameters: {
+      type: 'object',
+      properties: {
+        question: { type: 'string', description: 'Question or prompt for the user' },
+      },
+      required: ['question'],
+    },
+    handler: async (args, _context) => {
       const question = args.question;
       return {
         success: true,
@@ -292,8 +590,44 @@ export async function executeTool(name, args, context) {
         stop: true,
         userQuestion: typeof question === 'string' ? question : undefined,
       };
-    }
-    default:
-      return { success: false, message: 'Unknown tool: ' + name };
-  }
+    },
+  },
+];
+
+/**
+ * Registry with the built-in tools; plugins are added with loadPlugins (see toolRegistry.js).
+ * @returns {ToolRegistry}
+ */
+export function createToolRegistry() {
+  const registry = new ToolRegistry();
+  for (const tool of BUILTIN_TOOLS) registry.register(tool);
+  return registry;
+}
+
+/**
+ * Tool definitions for a run with a structured result: task_done additionally takes a required
+ * `data` object matching outputSchema.
+ * @param {ReturnType<ToolRegistry['definitions']>} definitions
+ * @param {Record<string, unknown>} outputSchema - JSON Schema of the result data
+ * @returns {ReturnType<ToolRegistry['definitions']>}
+ */
+export function withOutputSchema(definitions, outputSchema) {
+  return definitions.map((def) => {
+    if (def.function.name !== 'task_done') return def;
+    return {
+      type: 'function',
+      function: {
+        name: 'task_done',
+        description: 'Call when the user task is fully completed. Provide a brief result summary and the extracted data as a `data` object matching the required schema exactly.',
+        parameters: {
+          type: 'object',
+          properties: {
+            result: { type: 'string', description: 'Brief summary of what was done' },
+            data: { ...outputSchema, description: outputSchema.description || 'Structured result data (must match this schema)' },
+          },
+          required: ['result', 'data'],
+        },
+      },
+    };
+  });
 }
@@ -0,0 +1,141 @@
+/**
+ * Run transcripts: JSONL record of everything an agent run did (prompts, model responses, tool calls,
+ * tool results, snapshots, user answers) and a stub OpenAI client that replays recorded model responses.
+ */
+
+import { createHash } from 'crypto';
+import { appendFileSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+
+/**
+ * Appends one JSON event per line. Writes synchronously so the transcript survives a crash mid-run.
+ */
+export class TranscriptRecorder {
+  #path;
+  #seq = 0;
+
+  /**
+   * @param {string} filePath - transcript file (created or truncated)
+   */
+  constructor(filePath) {
+    this.#path = filePath;
+    mkdirSync(dirname(filePath), { recursive: true });
+    writeFileSync(filePath, '');
+  }
+
+  /**
+   * New transcript file in dir named by current time (run-2024-01-31T12-00-00-000Z.jsonl).
+   * @param {string} dir
+   */
+  static inDirectory(dir) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return new TranscriptRecorder(join(dir, `run-${stamp}.jsonl`));
+  }
+
+  get path() {
+    return this.#path;
+  }
+
+  /**
+   * @param {string} type - start, prompt, model_response, snapshot, tool_call, security, user_input, tool_result, finish
+   * @param {Record<string, unknown>} data
+   */
+  record(type, data) {
+    const event = { seq: ++this.#seq, time: new Date().toISOString(), type, ...data };
+    appendFileSync(this.#path, JSON.stringify(event) + '\n');
+  }
+}
+
+/**
+ * Wrap an OpenAI client so every chat.completions.create request and response is reported as
+ * 'prompt' and 'model_response' events.
+ * @param {import('openai').OpenAI} openai
+ * @param {(type: string, data: Record<string, unknown>) => void} record - e.g. TranscriptRecorder#record
+ * @returns {import('openai').OpenAI}
+ */
+export function recordingClient(openai, record) {
+  const create = async (params, requestOptions) => {
+    record('prompt', { request: withoutImageData(params) });
+    const response = await openai.chat.completions.create(params, requestOptions);
+    record('model_response', { model: params.model, response });
+    return response;
+  };
+  return /** @type {import('openai').OpenAI} */ ({ chat: { completions: { create } } });
+}
+
+/**
+ * Request copy for the transcript with screenshot data URLs replaced by their size and hash, so
+ * every prompt event does not carry the full image again.
+ * @param {{ messages?: Array<{ content?: unknown }> }} params
+ */
+function withoutImageData(params) {
+  if (!params.messages?.some((m) => Array.isArray(m.content))) return params;
+  const messages = params.messages.map((m) => {
+    if (!Array.isArray(m.content)) return m;
+    const content = m.content.map((part) => {
+      const url = part.type === 'image_url' ? part.image_url?.url : undefined;
+      if (typeof url !== 'string' || !url.startsWith('data:')) return part;
+      const hash = createHash('sha256').update(url).digest('hex').slice(0, 16);
+      return { ...part, image_url: { ...part.image_url, url: `[image ${url.length} chars, sha256 ${hash}]` } };
+    });
+    return { ...m, content };
+  });
+  return { ...params, messages };
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Array<{ seq: number; time: string; type: string; [key: string]: any }>}
+ */
+export function loadTranscript(filePath) {
+  return readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * Stub client returning the recorded model responses in order instead of calling the API.
+ * @param {ReturnType<typeof loadTranscript>} events
+ * @returns {import('openai').OpenAI}
+ */
+export function createReplayClient(events) {
+  const responses = events.filter((e) => e.type === 'model_response');
+  let next = 0;
+  const create = async (params) => {
+    const recorded = responses[next++];
+    if (!recorded) throw new Error(`Replay transcript exhausted after ${responses.length} model responses`);
+    if (recorded.model && params.model !== recorded.model) {
+      console.log('[Replay] Model differs: recorded %s, requested %s', recorded.model, params.model);
+    }
+    return recorded.response;
+  };
+  return /** @type {import('openai').OpenAI} */ ({ chat: { completions: { create } } });
+}
+
+/**
+ * Compare tool results of two runs step by step (name, success, message).
+ * @param {ReturnType<typeof loadTranscript>} recorded
+ * @param {ReturnType<typeof loadTranscript>} replayed
+ * @returns {string[]} human-readable differences (empty when the runs match)
+ */
+export function compareToolResults(recorded, replayed) {
+  const a = recorded.filter((e) => e.type === 'tool_result');
+  const b = replayed.filter((e) => e.type === 'tool_result');
+  const diffs = [];
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const x = a[i];
+    const y = b[i];
+    if (!x || !y) {
+      diffs.push(`#${i + 1}: ${x ? 'missing in replay' : 'extra in replay'}: ${(x || y).name}`);
+      continue;
+    }
+    if (x.name !== y.name || x.result?.success !== y.result?.success || x.result?.message !== y.result?.message) {
+      diffs.push(
+        `#${i + 1} (step ${x.step}): recorded ${x.name} → ${JSON.stringify(x.result?.message)} (${x.result?.success ? 'ok' : 'error'}), ` +
+          `replayed ${y.name} → ${JSON.stringify(y.result?.message)} (${y.result?.success ? 'ok' : 'error'})`
+      );
+    }
+  }
+  return diffs;
+}
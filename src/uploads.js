@@ -0,0 +1,49 @@
+/**
+ * Upload sandbox: the agent may only upload files that sit directly in the configured upload directory.
+ */
+
+import { readdirSync, realpathSync, statSync } from 'fs';
+import { basename, join, resolve, sep } from 'path';
+
+/**
+ * File names available for upload (regular files directly in dir, sorted).
+ * @param {string | undefined} dir
+ * @returns {string[]}
+ */
+export function listUploadFiles(dir) {
+  if (!dir) return [];
+  try {
+    return readdirSync(dir, { withFileTypes: true })
+      .filter((entry) => entry.isFile() && !entry.name.startsWith('.'))
+      .map((entry) => entry.name)
+      .sort();
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Resolve a file name inside the upload directory. Rejects paths, traversal, hidden files (not listed by
+ * listUploadFiles) and symlinks that point outside the directory.
+ * @param {string | undefined} dir
+ * @param {string} fileName - plain file name as listed by listUploadFiles
+ * @returns {string} absolute path of the file
+ */
+export function resolveUploadFile(dir, fileName) {
+  if (!dir) throw new Error('File upload is not configured (set AGENT_UPLOAD_DIR)');
+  const name = String(fileName).trim();
+  if (!name || name !== basename(name) || name.startsWith('.') || name.includes('/') || name.includes('\\')) {
+    throw new Error(`Invalid file name "${fileName}": use one of the listed file names, without a path`);
+  }
+  const root = realpathSync(resolve(dir));
+  let file;
+  try {
+    file = realpathSync(join(root, name));
+  } catch (_) {
+    throw new Error(`File "${name}" not found. Available: ${listUploadFiles(dir).join(', ') || '(none)'}`);
+  }
+  if (!file.startsWith(root + sep) || !statSync(file).isFile()) {
+    throw new Error(`File "${name}" is not available for upload`);
+  }
+  return file;
+}
@@ -0,0 +1,139 @@
+/**
+ * Token and cost accounting for one agent run: sums response.usage of every model call, estimates cost
+ * from per-model prices and enforces run limits (tokens, cost, wall-clock time).
+ */
+
+/** @type {Record<string, { input: number; output: number }>} USD per 1M tokens (prompt / completion). */
+export const DEFAULT_MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'o4-mini': { input: 1.1, output: 4.4 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+};
+
+/**
+ * Price for a model; dated snapshots (gpt-4o-mini-2024-07-18) match the longest known prefix.
+ * @param {Record<string, { input: number; output: number }>} prices
+ * @param {string} model
+ */
+function findPrice(prices, model) {
+  if (prices[model]) return prices[model];
+  const key = Object.keys(prices)
+    .filter((k) => model.startsWith(k))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : undefined;
+}
+
+/**
+ * @typedef {{ maxTokens?: number; maxCostUsd?: number; maxDurationMs?: number }} RunLimits
+ * @typedef {{ promptTokens: number; completionTokens: number; totalTokens: number; costUsd: number; costComplete: boolean; calls: number; durationMs: number }} UsageSummary
+ */
+
+export class UsageTracker {
+  promptTokens = 0;
+  completionTokens = 0;
+  costUsd = 0;
+  calls = 0;
+  /** False once a call used a model without a known price (its cost is not included). */
+  costComplete = true;
+  #startedAt = Date.now();
+  #limits;
+  #prices;
+
+  /**
+   * @param {RunLimits} [limits]
+   * @param {Record<string, { input: number; output: number }>} [prices] - merged over DEFAULT_MODEL_PRICES
+   */
+  constructor(limits = {}, prices = {}) {
+    this.#limits = limits;
+    this.#prices = { ...DEFAULT_MODEL_PRICES, ...prices };
+  }
+
+  /**
+   * Add one model call and log it with running totals.
+   * @param {string} model
+   * @param {{ prompt_tokens?: number; completion_tokens?: number } | undefined} usage - response.usage
+   */
+  record(model, usage) {
+    const prompt = usage?.prompt_tokens ?? 0;
+    const completion = usage?.completion_tokens ?? 0;
+    const price = findPrice(this.#prices, model);
+    const cost = price ? (prompt * price.input + completion * price.output) / 1e6 : 0;
+    if (!price) this.costComplete = false;
+    this.calls++;
+    this.promptTokens += prompt;
+    this.completionTokens += completion;
+    this.costUsd += cost;
+    console.log(
+      '[Usage] %s: +%d prompt / +%d completion tokens, %s | run total: %d tokens, %s',
+      model,
+      prompt,
+      completion,
+      price ? formatCost(cost) : 'price unknown',
+      this.promptTokens + this.completionTokens,
+      formatCost(this.costUsd)
+    );
+  }
+
+  /**
+   * @returns {string | null} error describing the exceeded limit, or null while within limits
+   */
+  checkLimits() {
+    const { maxTokens, maxCostUsd, maxDurationMs } = this.#limits;
+    const tokens = this.promptTokens + this.completionTokens;
+    if (maxTokens != null && tokens >= maxTokens) {
+      return `Token limit reached (${tokens} of ${maxTokens} tokens)`;
+    }
+    if (maxCostUsd != null && this.costUsd >= maxCostUsd) {
+      return `Cost limit reached (${formatCost(this.costUsd)} of ${formatCost(maxCostUsd)})`;
+    }
+    const elapsed = Date.now() - this.#startedAt;
+    if (maxDurationMs != null && elapsed >= maxDurationMs) {
+      return `Time limit reached (${Math.round(elapsed / 1000)}s of ${Math.round(maxDurationMs / 1000)}s)`;
+    }
+    return null;
+  }
+
+  /**
+   * @returns {UsageSummary}
+   */
+  summary() {
+    return {
+      promptTokens: this.promptTokens,
+      completionTokens: this.completionTokens,
+      totalTokens: this.promptTokens + this.completionTokens,
+      costUsd: Number(this.costUsd.toFixed(6)),
+      costComplete: this.costComplete,
+      calls: this.calls,
+      durationMs: Date.now() - this.#startedAt,
+    };
+  }
+}
+
+/**
+ * @param {number} usd
+ * @returns {string}
+ */
+export function formatCost(usd) {
+  return '$' + usd.toFixed(usd < 0.01 ? 5 : 4);
+}
+
+/**
+ * Wrap an OpenAI client so the usage of every chat.completions.create response is recorded.
+ * @param {import('openai').OpenAI} openai
+ * @param {UsageTracker} tracker
+ * @returns {import('openai').OpenAI}
+ */
+export function trackingClient(openai, tracker) {
+  const create = async (params, requestOptions) => {
+    const response = await openai.chat.completions.create(params, requestOptions);
+    tracker.record(response.model || params.model, response.usage);
+    return response;
+  };
+  return /** @type {import('openai').OpenAI} */ ({ chat: { completions: { create } } });
+}
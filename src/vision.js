@@ -0,0 +1,90 @@
+/**
+ * Vision mode: viewport screenshot with set-of-marks — each snapshot element in view gets a colored box
+ * labeled with its numeric id, so the model can match what it sees to the ids in the text snapshot.
+ */
+
+import { snapshotFingerprint } from './pageSnapshot.js';
+
+const SCREENSHOT_QUALITY = 60;
+const OVERLAY_ID = '__agent_marks__';
+
+/** Appended to the system prompt in vision mode. */
+export const VISION_RULES = `
+Screenshots:
+- A page state may include a screenshot of the visible part of the page. Colored boxes with a number mark interactive elements; the number is the element id from the text list.
+- Use the screenshot for icons, images, charts, canvas content and layout; act only through element ids. When no new screenshot is attached, the page looks as in the last one.`;
+
+const drawMarksScript = ({ marks, overlayId }) => {
+  const colors = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#008080', '#f032e6', '#9a6324'];
+  const overlay = document.createElement('div');
+  overlay.id = overlayId;
+  overlay.style.cssText = 'position:fixed;left:0;top:0;width:0;height:0;pointer-events:none;z-index:2147483647;';
+  for (const m of marks) {
+    const color = colors[m.id % colors.length];
+    const box = document.createElement('div');
+    box.style.cssText =
+      `position:fixed;left:${m.x}px;top:${m.y}px;width:${m.width}px;height:${m.height}px;` +
+      `border:2px solid ${color};box-sizing:border-box;`;
+    const label = document.createElement('div');
+    label.textContent = String(m.id);
+    label.style.cssText =
+      `position:absolute;left:-2px;${m.y >= 16 ? 'bottom:100%' : 'top:0'};background:${color};color:#fff;` +
+      'font:bold 11px/14px Arial,sans-serif;padding:0 3px;white-space:nowrap;';
+    box.appendChild(label);
+    overlay.appendChild(box);
+  }
+  document.documentElement.appendChild(overlay);
+};
+
+const removeMarksScript = (overlayId) => {
+  document.getElementById(overlayId)?.remove();
+};
+
+/**
+ * What the screenshot would show: page structure, scroll position and tab. A new screenshot is sent
+ * only when this changes (typed values are in the text snapshot anyway).
+ * @param {Parameters<typeof snapshotFingerprint>[0] & { viewport?: { scrollX: number; scrollY: number }; activeTabIndex?: number }} snapshot
+ * @returns {string}
+ */
+export function screenshotKey(snapshot) {
+  const { scrollX = 0, scrollY = 0 } = snapshot.viewport ?? {};
+  return snapshotFingerprint(snapshot) + `\n${scrollX},${scrollY}\n${snapshot.activeTabIndex ?? 0}`;
+}
+
+/**
+ * Elements whose box intersects the viewport, clipped to it.
+ * @param {{ elements: Array<{ id: number; rect?: { x: number; y: number; width: number; height: number } }>; viewport?: { width: number; height: number } }} snapshot
+ * @returns {Array<{ id: number; x: number; y: number; width: number; height: number }>}
+ */
+export function visibleMarks(snapshot) {
+  const vw = snapshot.viewport?.width ?? Infinity;
+  const vh = snapshot.viewport?.height ?? Infinity;
+  const marks = [];
+  for (const el of snapshot.elements) {
+    const r = el.rect;
+    if (!r || r.width < 2 || r.height < 2) continue;
+    const x = Math.max(0, r.x);
+    const y = Math.max(0, r.y);
+    const right = Math.min(vw, r.x + r.width);
+    const bottom = Math.min(vh, r.y + r.height);
+    if (right - x < 2 || bottom - y < 2) continue;
+    marks.push({ id: el.id, x, y, width: right - x, height: bottom - y });
+  }
+  return marks;
+}
+
+/**
+ * Take a JPEG screenshot of the viewport with the snapshot's element ids drawn on it.
+ * @param {import('playwright').Page} page
+ * @param {{ elements: Array<{ id: number; rect?: { x: number; y: number; width: number; height: number } }>; viewport?: { width: number; height: number } }} snapshot
+ * @returns {Promise<string>} data URL (data:image/jpeg;base64,...)
+ */
+export async function takeMarkedScreenshot(page, snapshot) {
+  await page.evaluate(drawMarksScript, { marks: visibleMarks(snapshot), overlayId: OVERLAY_ID });
+  try {
+    const image = await page.screenshot({ type: 'jpeg', quality: SCREENSHOT_QUALITY, timeout: 10000 });
+    return 'data:image/jpeg;base64,' + image.toString('base64');
+  } finally {
+    await page.evaluate(removeMarksScript, OVERLAY_ID).catch(() => {});
+  }
+}